@@ -0,0 +1,277 @@
+/**
+ * Achievements (badges) for Mira Maths
+ */
+
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+import { ProgressStore } from './progressStore.js';
+import { Mastery } from './mastery.js';
+import { FactGrid } from './factGrid.js';
+
+export const Achievements = {
+    // Constants
+    STORAGE_KEY: 'miraMaths.achievements',
+    MIN_GAME_QUESTIONS: 10,     // Shortest game that counts for the perfect score and speed badges
+    FAST_AVERAGE_MS: 2000,
+    MASTERED_WEAKNESS: 0.2,     // Mastery.getWeakness at or below this counts as mastered
+    PRACTICE_DAYS: 7,
+
+    // Badges in cabinet order; duringPlay badges are also checked after every answer
+    // Names and descriptions are in translations.js as badge.<id>.name and badge.<id>.description
+    BADGES: [
+        { id: 'first-game', icon: '🎉' },
+        { id: 'perfect-score', icon: '💯' },
+        { id: 'streak-10', icon: '🔥', duringPlay: true },
+        { id: 'streak-25', icon: '🚀', duringPlay: true },
+        { id: 'fast-average', icon: '⚡' },
+        { id: 'sprint-30', icon: '🏃' },
+        { id: 'survival-5', icon: '🛡️' },
+        { id: 'practice-week', icon: '📅' },
+        { id: 'tables-mastered', icon: '👑' },
+        { id: 'games-50', icon: '🏆' }
+    ],
+
+    /**
+     * Load the unlocked badges
+     * @returns {Object} - Unlock dates (ISO strings) keyed by badge id
+     */
+    loadUnlocked: function() {
+        try {
+            const unlocked = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return unlocked && typeof unlocked === 'object' ? unlocked : {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    /**
+     * Save the unlocked badges
+     * @param {Object} unlocked - Unlock dates keyed by badge id
+     */
+    saveUnlocked: function(unlocked) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(unlocked));
+        } catch (error) {
+            // Storage full or unavailable - badges last until the page is closed
+        }
+    },
+
+    /**
+     * Unlock every badge that has been earned and isn't unlocked yet
+     * @param {Array} badges - Badges to check
+     * @param {Object} context - What happened (see isEarned)
+     * @returns {Array} - Newly unlocked badges
+     */
+    unlockEarned: function(badges, context) {
+        const unlocked = this.loadUnlocked();
+        const earned = badges.filter(badge => !unlocked[badge.id] && this.isEarned(badge.id, context));
+
+        if (earned.length > 0) {
+            const now = new Date().toISOString();
+            earned.forEach(badge => {
+                unlocked[badge.id] = now;
+            });
+            this.saveUnlocked(unlocked);
+        }
+
+        return earned;
+    },
+
+    /**
+     * Check the badges that can be earned in the middle of a game
+     * @param {number} streak - Correct answers in a row so far
+     * @returns {Array} - Newly unlocked badges
+     */
+    checkDuringPlay: function(streak) {
+        return this.unlockEarned(this.BADGES.filter(badge => badge.duringPlay), { streak });
+    },
+
+    /**
+     * Check all badges once a game has been saved to the history
+     * @param {Object} summary - Summary of the finished game (see Session.summarise)
+     * @returns {Array} - Newly unlocked badges
+     */
+    checkEndOfGame: function(summary) {
+        return this.unlockEarned(this.BADGES, {
+            settings: summary.settings,
+            questions: summary.questions,
+            level: summary.level,
+            streak: summary.longestStreak
+        });
+    },
+
+    /**
+     * Check whether a badge has been earned
+     * @param {string} badgeId - Badge id
+     * @param {Object} context - { streak } during play, plus { settings, questions, level } at the end of a game
+     * @returns {boolean} - True if earned
+     */
+    isEarned: function(badgeId, context) {
+        const { settings, questions = [], level, streak } = context;
+        const correct = questions.filter(q => q.isCorrect);
+
+        switch(badgeId) {
+            case 'first-game':
+                return questions.length > 0;
+            case 'perfect-score':
+                return questions.length >= this.MIN_GAME_QUESTIONS && correct.length === questions.length;
+            case 'streak-10':
+                return streak >= 10;
+            case 'streak-25':
+                return streak >= 25;
+            case 'fast-average': {
+                const timed = correct.filter(q => typeof q.responseMs === 'number');
+                if (timed.length < this.MIN_GAME_QUESTIONS) {
+                    return false;
+                }
+                const average = timed.reduce((sum, q) => sum + q.responseMs, 0) / timed.length;
+                return average < this.FAST_AVERAGE_MS;
+            }
+            case 'sprint-30':
+                return Boolean(settings) && settings.practiceMode === 'sprint' &&
+                    correct.length / (settings.sprintSeconds / 60) >= 30;
+            case 'survival-5':
+                return Boolean(settings) && settings.practiceMode === 'survival' && level >= 5;
+            case 'practice-week':
+                return Boolean(settings) && this.getPracticeDayStreak(ProgressStore.loadSessions()) >= this.PRACTICE_DAYS;
+            case 'tables-mastered':
+                return Boolean(settings) && this.areTablesMastered();
+            case 'games-50':
+                return Boolean(settings) && ProgressStore.loadSessions().length >= 50;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Count the days in a row, up to today, with at least one finished game
+     * @param {Array} sessions - Session records
+     * @returns {number} - Number of days
+     */
+    getPracticeDayStreak: function(sessions) {
+        const days = new Set(sessions.map(session => new Date(session.date).toDateString()));
+        const day = new Date();
+        let count = 0;
+
+        while (days.has(day.toDateString())) {
+            count++;
+            day.setDate(day.getDate() - 1);
+        }
+
+        return count;
+    },
+
+    /**
+     * Check whether every fact on the times table grid is mastered
+     * 3 × 4 and 4 × 3 count together, as on the fact grid
+     * @returns {boolean} - True if all are mastered
+     */
+    areTablesMastered: function() {
+        const facts = Mastery.loadFacts();
+        const { min, max } = FactGrid.GRIDS.multiplication;
+
+        for (let num1 = min; num1 <= max; num1++) {
+            for (let num2 = num1; num2 <= max; num2++) {
+                const stats = FactGrid.getStats(facts, 'multiplication', num1, num2, true);
+                if (stats.attempts === 0 || Mastery.getWeakness(stats) > this.MASTERED_WEAKNESS) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Get the name of a badge in the current language
+     * @param {Object} badge - Badge from BADGES
+     * @returns {string} - Badge name
+     */
+    getName: function(badge) {
+        return I18n.t(`badge.${badge.id}.name`);
+    },
+
+    /**
+     * Get the description of a badge in the current language
+     * @param {Object} badge - Badge from BADGES
+     * @returns {string} - What has to be done to earn the badge
+     */
+    getDescription: function(badge) {
+        return I18n.t(`badge.${badge.id}.description`);
+    },
+
+    /**
+     * Create the element for a badge
+     * @param {Object} badge - Badge from BADGES
+     * @param {string|null} unlockedAt - Unlock date (ISO string), or null if still locked
+     * @returns {HTMLElement} - Badge element
+     */
+    createBadgeElement: function(badge, unlockedAt) {
+        const element = document.createElement('li');
+        element.className = unlockedAt ? 'badge unlocked' : 'badge locked';
+
+        const icon = document.createElement('span');
+        icon.className = 'badge-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = unlockedAt ? badge.icon : '🔒';
+
+        const name = document.createElement('span');
+        name.className = 'badge-name';
+        name.textContent = this.getName(badge);
+
+        const description = document.createElement('span');
+        description.className = 'badge-description';
+        description.textContent = this.getDescription(badge);
+
+        element.append(icon, name, description);
+
+        if (unlockedAt) {
+            const date = document.createElement('span');
+            date.className = 'badge-date';
+            date.textContent = I18n.t('badges.unlockedOn', { date: new Date(unlockedAt).toLocaleDateString(I18n.language) });
+            element.appendChild(date);
+        } else {
+            element.setAttribute('aria-label', I18n.t('badges.locked', { name: this.getName(badge), description: this.getDescription(badge) }));
+        }
+
+        return element;
+    },
+
+    /**
+     * Show the badges unlocked in the last game on the results screen
+     * @param {Array} badges - Newly unlocked badges
+     */
+    showNewBadges: function(badges) {
+        const section = document.getElementById('results-badges');
+        const list = document.getElementById('new-badges');
+        list.innerHTML = '';
+        section.hidden = badges.length === 0;
+
+        const unlocked = this.loadUnlocked();
+        badges.forEach((badge, index) => {
+            const element = this.createBadgeElement(badge, unlocked[badge.id] || new Date().toISOString());
+            // Stagger the unlock animation when several badges arrive together
+            element.classList.add('badge-new');
+            element.style.animationDelay = `${index * 0.3}s`;
+            list.appendChild(element);
+        });
+    },
+
+    /**
+     * Show the badge cabinet screen
+     */
+    showCabinet: function() {
+        const unlocked = this.loadUnlocked();
+        const list = document.getElementById('badge-cabinet');
+        list.innerHTML = '';
+
+        this.BADGES.forEach(badge => {
+            list.appendChild(this.createBadgeElement(badge, unlocked[badge.id] || null));
+        });
+
+        const count = this.BADGES.filter(badge => unlocked[badge.id]).length;
+        document.getElementById('badge-count').textContent = I18n.t('badges.count', { count, total: this.BADGES.length });
+
+        Utils.showScreen('badges-screen');
+    }
+};
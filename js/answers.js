@@ -0,0 +1,98 @@
+/**
+ * Answer parsing and checking for Mira Maths
+ */
+
+import { I18n } from './i18n.js';
+import { Fractions } from './fractions.js';
+
+export const Answers = {
+    /**
+     * Parse what the child typed for a question
+     * Whole number questions store a number; fraction, decimal and remainder
+     * questions store text so it can be shown back in the results
+     * Decimal commas are accepted and stored as decimal points
+     * @param {Object} question - Question object
+     * @param {string} text - Raw input value
+     * @returns {number|string|null} - Parsed answer, or null if nothing usable was entered
+     */
+    parse: function(question, text) {
+        switch(question.answerType) {
+            case 'fraction':
+            case 'decimal': {
+                const trimmed = I18n.normaliseNumbers(text).trim().replace(/\s+/g, ' ');
+                return Fractions.parse(trimmed) === null ? null : trimmed;
+            }
+            case 'remainder': {
+                const parsed = this.parseRemainder(text);
+                return parsed === null ? null : `${parsed.quotient} r ${parsed.remainder}`;
+            }
+            default: {
+                // Only a whole number (with an optional minus sign) counts: not 5.9, 5abc or 5-3
+                const trimmed = String(text).trim();
+                return /^-?\d+$/.test(trimmed) ? parseInt(trimmed) : null;
+            }
+        }
+    },
+
+    /**
+     * Check a parsed answer against the question
+     * Equivalent forms are accepted (6/8 for 3/4, 1.50 for 1.5) unless the
+     * question asks for the simplest form
+     * @param {Object} question - Question object
+     * @param {number|string|null} userAnswer - Answer from parse
+     * @returns {boolean} - True if correct
+     */
+    isCorrect: function(question, userAnswer) {
+        if (userAnswer === null) {
+            return false;
+        }
+
+        switch(question.answerType) {
+            case 'fraction':
+            case 'decimal': {
+                const given = Fractions.parse(userAnswer);
+                const expected = Fractions.parse(question.answer);
+                if (given === null || !Fractions.equals(given, expected)) {
+                    return false;
+                }
+                return !question.requireSimplest || Fractions.isSimplest(given);
+            }
+            case 'remainder': {
+                const given = this.parseRemainder(userAnswer);
+                return given !== null &&
+                    given.quotient === question.quotient &&
+                    given.remainder === question.remainder;
+            }
+            default:
+                return userAnswer === question.answer;
+        }
+    },
+
+    /**
+     * Parse a quotient and remainder such as "5 r 3", "5r3" or "5 R 3"
+     * A plain whole number means a remainder of 0
+     * @param {string} text - Text to parse
+     * @returns {Object|null} - { quotient, remainder }, or null if the text doesn't match
+     */
+    parseRemainder: function(text) {
+        const match = String(text).trim().match(/^(\d+)(?:\s*(?:r|rem|remainder)\s*(\d+))?$/i);
+        if (!match) {
+            return null;
+        }
+        return { quotient: parseInt(match[1]), remainder: match[2] ? parseInt(match[2]) : 0 };
+    },
+
+    /**
+     * Get the inputmode for a question's answer field (which on-screen keyboard to show)
+     * @param {Object} question - Question object
+     * @returns {string} - inputmode attribute value
+     */
+    getInputMode: function(question) {
+        switch(question.answerType) {
+            case 'fraction':
+            case 'remainder': return 'text';
+            case 'decimal': return 'decimal';
+            default: return 'numeric';
+        }
+    }
+};
@@ -0,0 +1,118 @@
+/**
+ * Decimal questions (one or two decimal places) for Mira Maths
+ */
+
+import { Utils } from './utils.js';
+
+export const Decimals = {
+    // Constants
+    KINDS: ['addition', 'subtraction', 'multiplication'],
+
+    /**
+     * Generate a decimal question
+     * Numbers are built as whole tenths or hundredths so answers are exact
+     * @param {number} maxNumber - Maximum number to use
+     * @returns {Object} - Question object
+     */
+    generate: function(maxNumber) {
+        const kind = this.KINDS[Math.floor(Utils.random() * this.KINDS.length)];
+
+        // Multiplication is a one decimal place number times a single digit (1.4 × 3)
+        if (kind === 'multiplication') {
+            const scale = 10;
+            const units1 = this.getRandomUnits(Math.min(maxNumber, 10), scale);
+            const multiplier = Utils.getRandomInt(2, 9);
+            return this.createQuestion(kind, 1, units1 / scale, multiplier, (units1 * multiplier) / scale);
+        }
+
+        const places = Utils.random() < 0.5 ? 1 : 2;
+        const scale = Math.pow(10, places);
+        let units1 = this.getRandomUnits(maxNumber, scale);
+        let units2 = this.getRandomUnits(maxNumber, scale);
+
+        // Keep subtraction results positive
+        if (kind === 'subtraction' && units2 > units1) {
+            [units1, units2] = [units2, units1];
+        }
+
+        const resultUnits = kind === 'addition' ? units1 + units2 : units1 - units2;
+        return this.createQuestion(kind, places, units1 / scale, units2 / scale, resultUnits / scale);
+    },
+
+    /**
+     * Get a random number of tenths or hundredths that is not a whole number
+     * @param {number} maxNumber - Maximum value
+     * @param {number} scale - 10 for tenths, 100 for hundredths
+     * @returns {number} - Number of units
+     */
+    getRandomUnits: function(maxNumber, scale) {
+        let units;
+        do {
+            units = Utils.getRandomInt(1, maxNumber * scale - 1);
+        } while (units % scale === 0);
+        return units;
+    },
+
+    /**
+     * Create a decimal question object
+     * @param {string} kind - 'addition', 'subtraction' or 'multiplication'
+     * @param {number} places - Decimal places shown in the operands (1 or 2)
+     * @param {number} num1 - First operand
+     * @param {number} num2 - Second operand (whole number for multiplication)
+     * @param {number} result - Exact result
+     * @returns {Object} - Question object
+     */
+    createQuestion: function(kind, places, num1, num2, result) {
+        return {
+            num1,
+            num2,
+            operation: 'decimals',
+            decimalKind: kind,
+            places,
+            answer: result,
+            result,
+            blank: 'result',
+            answerType: 'decimal',
+            userAnswer: null,
+            isCorrect: null,
+            timeElapsed: 0
+        };
+    },
+
+    /**
+     * Get difficulty level of a decimal question
+     * @param {Object} question - Decimal question object
+     * @returns {number} - Difficulty level (1-3)
+     */
+    getDifficultyLevel: function(question) {
+        const { decimalKind, places, num1, num2 } = question;
+
+        // Level 3 (Hard): hundredths
+        if (places === 2) {
+            return 3;
+        }
+
+        // Level 2 (Medium): multiplying, or tenths that carry or borrow (2.7 + 1.5, 3.2 - 1.6)
+        const tenths1 = Math.round(num1 * 10) % 10;
+        const tenths2 = Math.round(num2 * 10) % 10;
+        if (decimalKind === 'multiplication' ||
+            (decimalKind === 'addition' && tenths1 + tenths2 >= 10) ||
+            (decimalKind === 'subtraction' && tenths1 < tenths2)) {
+            return 2;
+        }
+
+        // Level 1 (Easy): tenths with no carrying or borrowing (2.3 + 1.4)
+        return 1;
+    },
+
+    /**
+     * Format a decimal question for display
+     * @param {Object} question - Decimal question object
+     * @returns {string} - Question text without "="
+     */
+    formatQuestion: function(question) {
+        const { decimalKind, places, num1, num2 } = question;
+        const text2 = decimalKind === 'multiplication' ? `${num2}` : num2.toFixed(places);
+        return `${num1.toFixed(places)} ${Utils.getOperationSymbol(decimalKind)} ${text2}`;
+    }
+};
@@ -0,0 +1,392 @@
+/**
+ * Difficulty rules screen for Mira Maths
+ * Lets a teacher change what counts as easy, preview the result and share the rules as a file
+ */
+
+import { I18n } from './i18n.js';
+import { Settings } from './settings.js';
+import { Utils } from './utils.js';
+import { QuestionGenerator } from './questionGenerator.js';
+import { DifficultyRules } from './difficultyRules.js';
+
+export const DifficultyEditor = {
+    // Constants
+    PREVIEW_COUNT: 20,
+    EXPORT_FILENAME: 'mira-maths-difficulty-rules.json',
+    NEW_RULE: { operations: ['addition'], condition: 'differenceAtMost', value: 0, level: 1 },
+
+    // Rules being edited (saved only when Save Rules is pressed)
+    draft: null,
+
+    /**
+     * Show the difficulty rules screen with the rules in use
+     */
+    show: function() {
+        this.draft = JSON.parse(JSON.stringify(DifficultyRules.getActive()));
+        this.render();
+        this.clearPreview();
+        this.showStatus('');
+        Utils.showScreen('rules-screen');
+    },
+
+    /**
+     * Fill the screen from the draft rules
+     */
+    render: function() {
+        const list = document.getElementById('rules-list');
+        list.innerHTML = '';
+        this.draft.rules.forEach((rule, index) => {
+            list.appendChild(this.createRuleRow(rule, index));
+        });
+
+        const fallback = document.getElementById('rules-fallback');
+        fallback.innerHTML = '';
+        fallback.appendChild(this.createLevelOptions(this.draft.fallbackLevel));
+
+        this.renderDistribution();
+    },
+
+    /**
+     * Create the editable row for one rule
+     * @param {Object} rule - Rule ({ operations, condition, value, level })
+     * @param {number} index - Position of the rule in the list
+     * @returns {HTMLElement} - List item
+     */
+    createRuleRow: function(rule, index) {
+        const number = index + 1;
+        const row = document.createElement('li');
+        row.className = 'rule-row';
+
+        // Operations the rule applies to
+        const operations = document.createElement('div');
+        operations.className = 'rule-operations';
+        DifficultyRules.OPERATIONS.forEach(operation => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'rule-operation';
+            checkbox.value = operation;
+            checkbox.checked = rule.operations.includes(operation);
+            checkbox.setAttribute('aria-label', Utils.getOperationName(operation));
+            const symbol = document.createElement('span');
+            symbol.textContent = Utils.getOperationSymbol(operation);
+            symbol.setAttribute('aria-hidden', 'true');
+            label.appendChild(checkbox);
+            label.appendChild(symbol);
+            operations.appendChild(label);
+        });
+        row.appendChild(operations);
+
+        // Condition, with its number when it needs one
+        const condition = document.createElement('select');
+        condition.className = 'rule-condition';
+        condition.setAttribute('aria-label', I18n.t('rules.conditionLabel', { number }));
+        Object.keys(DifficultyRules.CONDITIONS).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = I18n.t(`rules.condition.${id}`);
+            condition.appendChild(option);
+        });
+        condition.value = rule.condition;
+        row.appendChild(condition);
+
+        const value = document.createElement('input');
+        value.type = 'number';
+        value.className = 'rule-value';
+        value.min = 0;
+        value.value = rule.value !== undefined ? rule.value : '';
+        value.setAttribute('aria-label', I18n.t('rules.valueLabel', { number }));
+        const updateValue = () => {
+            const needsValue = DifficultyRules.CONDITIONS[condition.value].needsValue;
+            value.hidden = !needsValue;
+            value.min = DifficultyRules.CONDITIONS[condition.value].minValue || 0;
+        };
+        condition.addEventListener('change', updateValue);
+        updateValue();
+        row.appendChild(value);
+
+        // Level given to matching questions
+        const level = document.createElement('select');
+        level.className = 'rule-level';
+        level.setAttribute('aria-label', I18n.t('rules.levelLabel', { number }));
+        level.appendChild(this.createLevelOptions(rule.level));
+        row.appendChild(level);
+
+        // Reordering and removing
+        const actions = document.createElement('div');
+        actions.className = 'rule-actions';
+        [
+            { text: '↑', label: 'rules.moveUp', disabled: index === 0, onclick: () => this.moveRule(index, -1) },
+            { text: '↓', label: 'rules.moveDown', disabled: index === this.draft.rules.length - 1, onclick: () => this.moveRule(index, 1) },
+            { text: '✕', label: 'rules.remove', onclick: () => this.removeRule(index) }
+        ].forEach(({ text, label, disabled, onclick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-rule';
+            button.textContent = text;
+            button.disabled = Boolean(disabled);
+            button.setAttribute('aria-label', I18n.t(label, { number }));
+            button.onclick = onclick;
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+
+        return row;
+    },
+
+    /**
+     * Create the options of a level menu
+     * @param {number} selected - Level to select
+     * @returns {DocumentFragment} - Option elements
+     */
+    createLevelOptions: function(selected) {
+        const fragment = document.createDocumentFragment();
+        DifficultyRules.LEVELS.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = I18n.t(`rules.level${level}`);
+            option.selected = level === selected;
+            fragment.appendChild(option);
+        });
+        return fragment;
+    },
+
+    /**
+     * Fill the level mix table: one row per difficulty setting, one percentage per level
+     */
+    renderDistribution: function() {
+        const body = document.getElementById('rules-distribution');
+        body.innerHTML = '';
+
+        for (let difficulty = 1; difficulty <= 5; difficulty++) {
+            const row = document.createElement('tr');
+            const heading = document.createElement('th');
+            heading.scope = 'row';
+            heading.textContent = difficulty;
+            row.appendChild(heading);
+
+            DifficultyRules.LEVELS.forEach(level => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'rule-share';
+                input.min = 0;
+                input.max = 100;
+                input.value = this.draft.distribution[difficulty][level - 1];
+                input.dataset.difficulty = difficulty;
+                input.dataset.level = level;
+                input.setAttribute('aria-label', I18n.t('rules.shareLabel', { difficulty, level }));
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            body.appendChild(row);
+        }
+    },
+
+    /**
+     * Read the rules as they are on screen, without checking them
+     * @returns {Object} - Rule set
+     */
+    readForm: function() {
+        const rules = [...document.querySelectorAll('#rules-list .rule-row')].map(row => {
+            const rule = {
+                operations: [...row.querySelectorAll('.rule-operation:checked')].map(checkbox => checkbox.value),
+                condition: row.querySelector('.rule-condition').value,
+                level: parseInt(row.querySelector('.rule-level').value)
+            };
+            if (DifficultyRules.CONDITIONS[rule.condition].needsValue) {
+                const value = row.querySelector('.rule-value').value;
+                rule.value = value === '' ? NaN : Number(value);
+            }
+            return rule;
+        });
+
+        const distribution = {};
+        document.querySelectorAll('#rules-distribution .rule-share').forEach(input => {
+            const { difficulty, level } = input.dataset;
+            distribution[difficulty] = distribution[difficulty] || [];
+            distribution[difficulty][level - 1] = input.value === '' ? NaN : Number(input.value);
+        });
+
+        return {
+            rules,
+            fallbackLevel: parseInt(document.getElementById('rules-fallback').value),
+            distribution
+        };
+    },
+
+    /**
+     * Read and check the rules on screen
+     * Shows what is wrong and returns null if they can't be used
+     * @returns {Object|null} - Rule set
+     */
+    getRuleSet: function() {
+        this.draft = this.readForm();
+        try {
+            return DifficultyRules.normalise(this.draft);
+        } catch (error) {
+            this.showStatus(error.message, true);
+            return null;
+        }
+    },
+
+    /**
+     * Add a rule at the end of the list
+     */
+    addRule: function() {
+        this.draft = this.readForm();
+        this.draft.rules.push({ ...this.NEW_RULE, operations: [...this.NEW_RULE.operations] });
+        this.render();
+        document.querySelector('#rules-list .rule-row:last-child .rule-condition').focus();
+    },
+
+    /**
+     * Move a rule up or down the list (earlier rules win)
+     * @param {number} index - Position of the rule
+     * @param {number} step - -1 for up, 1 for down
+     */
+    moveRule: function(index, step) {
+        this.draft = this.readForm();
+        const rules = this.draft.rules;
+        [rules[index], rules[index + step]] = [rules[index + step], rules[index]];
+        this.render();
+    },
+
+    /**
+     * Remove a rule from the list
+     * @param {number} index - Position of the rule
+     */
+    removeRule: function(index) {
+        this.draft = this.readForm();
+        this.draft.rules.splice(index, 1);
+        this.render();
+    },
+
+    /**
+     * Save the rules on screen and use them for new games
+     */
+    save: function() {
+        const ruleSet = this.getRuleSet();
+        if (ruleSet) {
+            DifficultyRules.save(ruleSet);
+            this.showStatus(I18n.t('rules.saved'));
+        }
+    },
+
+    /**
+     * Go back to the default rules after asking
+     */
+    reset: function() {
+        if (confirm(I18n.t('rules.confirmReset'))) {
+            DifficultyRules.reset();
+            this.show();
+            this.showStatus(I18n.t('rules.resetDone'));
+        }
+    },
+
+    /**
+     * Download the rules on screen as a JSON file
+     */
+    exportFile: function() {
+        const ruleSet = this.getRuleSet();
+        if (!ruleSet) {
+            return;
+        }
+
+        const blob = new Blob([DifficultyRules.stringify(ruleSet)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.EXPORT_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Some browsers start the download after the click returns, so the URL is freed later
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    /**
+     * Load rules from a JSON file into the screen (they are used once saved)
+     * @param {File} file - File chosen by the user
+     */
+    importFile: function(file) {
+        file.text().then(text => {
+            this.draft = DifficultyRules.parse(text);
+            this.render();
+            this.clearPreview();
+            this.showStatus(I18n.t('rules.imported'));
+        }).catch(error => {
+            this.showStatus(error.message, true);
+        });
+    },
+
+    /**
+     * Generate questions with the rules on screen and show the level of each
+     * Uses the operations, numbers and difficulty chosen on the settings screen
+     */
+    preview: function() {
+        const ruleSet = this.getRuleSet();
+        if (!ruleSet) {
+            return;
+        }
+
+        const settings = { ...Settings.readForm(), questionCount: this.PREVIEW_COUNT, allowRepeats: false };
+        if (settings.operations.length === 0) {
+            this.showStatus(I18n.t('errors.noOperations'), true);
+            return;
+        }
+        this.showStatus('');
+
+        const questions = DifficultyRules.withRuleSet(ruleSet, () =>
+            QuestionGenerator.generateSeededQuestions(settings).map(question => ({
+                question,
+                level: QuestionGenerator.getDifficultyLevel(question, settings.maxNumber)
+            })));
+
+        const list = document.getElementById('rules-preview');
+        list.innerHTML = '';
+        const counts = { 1: 0, 2: 0, 3: 0 };
+
+        questions.forEach(({ question, level }) => {
+            counts[level]++;
+            const item = document.createElement('li');
+            item.className = 'rules-preview-question';
+            item.textContent = QuestionGenerator.formatQuestion(question);
+
+            // Same badges as debug mode
+            const badge = document.createElement('span');
+            badge.className = `difficulty-badge difficulty-${level}`;
+            badge.textContent = `L${level}`;
+            item.appendChild(badge);
+
+            list.appendChild(item);
+        });
+
+        document.getElementById('rules-preview-summary').textContent = I18n.t('rules.previewSummary', {
+            level1: counts[1],
+            level2: counts[2],
+            level3: counts[3]
+        });
+    },
+
+    /**
+     * Remove the preview questions
+     */
+    clearPreview: function() {
+        document.getElementById('rules-preview').innerHTML = '';
+        document.getElementById('rules-preview-summary').textContent = '';
+    },
+
+    /**
+     * Show a message below the rules
+     * @param {string} message - Message, or '' to hide it
+     * @param {boolean} isError - True for problems that stop the rules being used
+     */
+    showStatus: function(message, isError = false) {
+        const status = document.getElementById('rules-status');
+        status.textContent = message;
+        status.hidden = !message;
+        status.classList.toggle('error', isError);
+    }
+};
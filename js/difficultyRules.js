@@ -0,0 +1,323 @@
+/**
+ * Difficulty rules for Mira Maths
+ * Decides the level (1-3) of each whole-number fact and how often each level is asked
+ * at each difficulty setting. Teachers can change both on the difficulty rules screen
+ */
+
+import { I18n } from './i18n.js';
+
+export const DifficultyRules = {
+    // Constants
+    STORAGE_KEY: 'miraMaths.difficultyRules',
+    FILE_VERSION: 1,
+    LEVELS: [1, 2, 3],
+    OPERATIONS: ['addition', 'subtraction', 'multiplication', 'division'],
+
+    // Conditions a rule can test, given the numbers of a question without signs
+    // Conditions with needsValue compare against the rule's value (N)
+    CONDITIONS: {
+        bothAtMost: {
+            needsValue: true,
+            test: (q, n) => q.num1 <= n && q.num2 <= n
+        },
+        eitherAtMost: {
+            needsValue: true,
+            test: (q, n) => q.num1 <= n || q.num2 <= n
+        },
+        bothMultipleOf: {
+            needsValue: true,
+            minValue: 1,
+            test: (q, n) => q.num1 % n === 0 && q.num2 % n === 0
+        },
+        eitherMultipleOf: {
+            needsValue: true,
+            minValue: 1,
+            test: (q, n) => q.num1 % n === 0 || q.num2 % n === 0
+        },
+        answerMultipleOf: {
+            needsValue: true,
+            minValue: 1,
+            test: (q, n) => q.result % n === 0
+        },
+        answerAtMost: {
+            needsValue: true,
+            test: (q, n) => q.result <= n
+        },
+        // 0 finds doubles (6 + 6), 1 near doubles (6 + 7)
+        differenceAtMost: {
+            needsValue: true,
+            test: (q, n) => Math.abs(q.num1 - q.num2) <= n
+        },
+        // One number is the ones digit of the other (16 + 6, 17 - 7)
+        onesDigitMatch: {
+            test: (q) => q.num1 % 10 === q.num2 || q.num2 % 10 === q.num1
+        },
+        // Addition or subtraction that goes past a multiple of 10 (8 + 5, 13 - 5)
+        bridgesTen: {
+            test: (q) => DifficultyRules.bridgesTen(q)
+        },
+        staysWithinTen: {
+            test: (q) => (q.operation === 'addition' || q.operation === 'subtraction') && !DifficultyRules.bridgesTen(q)
+        }
+    },
+
+    // The first matching rule gives the level; questions no rule matches get fallbackLevel
+    // Distribution: percentages of level 1, 2 and 3 questions for each difficulty setting
+    DEFAULTS: {
+        rules: [
+            // 1× and 2× tables
+            { operations: ['multiplication'], condition: 'eitherAtMost', value: 2, level: 1 },
+            // 3×, 4× and 5× tables (6 × 6 and above are left to the fallback)
+            { operations: ['multiplication'], condition: 'eitherAtMost', value: 5, level: 2 },
+            // Very small numbers, or adding, taking away or dividing by 1 or 2
+            { operations: ['addition', 'subtraction', 'division'], condition: 'bothAtMost', value: 3, level: 1 },
+            { operations: ['addition', 'subtraction', 'division'], condition: 'eitherAtMost', value: 2, level: 1 },
+            // Tens (10 + 10, 20 - 10) and small numbers (5 + 5, 4 + 3)
+            { operations: ['addition', 'subtraction', 'division'], condition: 'bothMultipleOf', value: 10, level: 2 },
+            { operations: ['addition', 'subtraction', 'division'], condition: 'bothAtMost', value: 5, level: 2 },
+            // One multiple of 10 (20 - 7, 10 + 9)
+            { operations: ['addition', 'subtraction', 'division'], condition: 'eitherMultipleOf', value: 10, level: 2 },
+            // Making a ten (19 + 11, 17 + 13)
+            { operations: ['addition'], condition: 'answerMultipleOf', value: 10, level: 2 },
+            // Same ones digit (16 + 6, 14 - 4)
+            { operations: ['addition', 'subtraction'], condition: 'onesDigitMatch', level: 2 },
+            // Small answers and close numbers (18 - 13, 16 - 11)
+            { operations: ['subtraction'], condition: 'answerAtMost', value: 5, level: 2 },
+            { operations: ['subtraction'], condition: 'differenceAtMost', value: 10, level: 2 }
+        ],
+        fallbackLevel: 3,
+        distribution: {
+            1: [20, 30, 50],
+            2: [10, 30, 60],
+            3: [5, 20, 75],
+            4: [1, 9, 90],
+            5: [0, 0, 100]
+        }
+    },
+
+    // Rule set in use (loaded on first use)
+    active: null,
+
+    /**
+     * Get the rule set in use
+     * @returns {Object} - Rule set ({ rules, fallbackLevel, distribution })
+     */
+    getActive: function() {
+        if (!this.active) {
+            this.active = this.load();
+        }
+        return this.active;
+    },
+
+    /**
+     * Load the saved rule set, or the default one
+     * @returns {Object} - Rule set
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (saved) {
+                return this.normalise(saved);
+            }
+        } catch (error) {
+            // Storage unavailable or corrupted - use the default rules
+        }
+        return this.getDefaults();
+    },
+
+    /**
+     * Save a rule set and start using it
+     * @param {Object} ruleSet - Rule set (checked with normalise first)
+     */
+    save: function(ruleSet) {
+        this.active = this.normalise(ruleSet);
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.active));
+        } catch (error) {
+            // Storage full or unavailable - the rules last until the page is closed
+        }
+    },
+
+    /**
+     * Go back to the default rule set
+     */
+    reset: function() {
+        this.active = this.getDefaults();
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            // Nothing to remove
+        }
+    },
+
+    /**
+     * Get a copy of the default rule set that can be changed freely
+     * @returns {Object} - Rule set
+     */
+    getDefaults: function() {
+        return JSON.parse(JSON.stringify(this.DEFAULTS));
+    },
+
+    /**
+     * Run a function with another rule set in use, e.g. to preview unsaved changes
+     * @param {Object} ruleSet - Rule set to use
+     * @param {Function} callback - Function to run
+     * @returns {*} - Whatever the function returns
+     */
+    withRuleSet: function(ruleSet, callback) {
+        const saved = this.active;
+        this.active = ruleSet;
+        try {
+            return callback();
+        } finally {
+            this.active = saved;
+        }
+    },
+
+    /**
+     * Get the level of a question from the rules in use
+     * @param {Object} question - Whole-number question without signs, with the blank in the result
+     * @returns {number} - Difficulty level (1-3)
+     */
+    getLevel: function(question) {
+        const ruleSet = this.getActive();
+        const rule = ruleSet.rules.find(rule => this.matches(rule, question));
+        return rule ? rule.level : ruleSet.fallbackLevel;
+    },
+
+    /**
+     * Check whether a rule applies to a question
+     * @param {Object} rule - Rule ({ operations, condition, value, level })
+     * @param {Object} question - Question object
+     * @returns {boolean} - True if the rule matches
+     */
+    matches: function(rule, question) {
+        return rule.operations.includes(question.operation) &&
+            this.CONDITIONS[rule.condition].test(question, rule.value);
+    },
+
+    /**
+     * Check whether an addition or subtraction goes past a multiple of 10
+     * Landing on one (6 + 4, 15 - 5) doesn't count
+     * @param {Object} question - Question object
+     * @returns {boolean} - True for 8 + 5, 13 - 5, 20 - 7
+     */
+    bridgesTen: function(question) {
+        const { operation, num1, num2 } = question;
+        if (operation === 'addition') {
+            return num1 % 10 + num2 % 10 > 10;
+        }
+        if (operation === 'subtraction') {
+            return num1 % 10 < num2 % 10;
+        }
+        return false;
+    },
+
+    /**
+     * Pick the level of the next question for a difficulty setting
+     * @param {number} difficultyLevel - Game difficulty level (1-5)
+     * @param {number} rand - Random number from 0 (inclusive) to 1 (exclusive)
+     * @returns {number} - Target question level (1-3)
+     */
+    selectLevel: function(difficultyLevel, rand) {
+        const shares = this.getActive().distribution[difficultyLevel];
+        if (!shares) {
+            return 3;
+        }
+
+        // Harder levels take the lower random numbers, so the default shares pick the
+        // same levels from a seed as the fixed tables they replaced
+        const total = shares.reduce((sum, share) => sum + share, 0);
+        let cumulative = 0;
+        for (let level = 3; level >= 1; level--) {
+            cumulative += shares[level - 1];
+            if (shares[level - 1] > 0 && rand < cumulative / total) {
+                return level;
+            }
+        }
+        return this.LEVELS.find(level => shares[level - 1] > 0);
+    },
+
+    /**
+     * Check a rule set (e.g. from an imported file) and tidy it up
+     * @param {Object} data - Rule set to check
+     * @returns {Object} - Rule set with whole-number values and levels
+     * @throws {Error} - Translated message saying what is wrong
+     */
+    normalise: function(data) {
+        if (!data || !Array.isArray(data.rules) || !data.distribution || typeof data.distribution !== 'object') {
+            throw new Error(I18n.t('rules.errors.file'));
+        }
+
+        const isLevel = level => this.LEVELS.includes(level);
+
+        const rules = data.rules.map((rule, index) => {
+            const condition = rule && this.CONDITIONS[rule.condition];
+            const operations = rule && Array.isArray(rule.operations) ?
+                this.OPERATIONS.filter(operation => rule.operations.includes(operation)) : [];
+            const level = Number(rule && rule.level);
+
+            if (!condition || !isLevel(level)) {
+                throw new Error(I18n.t('rules.errors.file'));
+            }
+            if (operations.length === 0) {
+                throw new Error(I18n.t('rules.errors.operations', { number: index + 1 }));
+            }
+
+            const normalised = { operations, condition: rule.condition, level };
+            if (condition.needsValue) {
+                const value = Number(rule.value);
+                if (!Number.isInteger(value) || value < (condition.minValue || 0)) {
+                    throw new Error(I18n.t('rules.errors.value', { number: index + 1 }));
+                }
+                normalised.value = value;
+            }
+            return normalised;
+        });
+
+        const fallbackLevel = Number(data.fallbackLevel);
+        if (!isLevel(fallbackLevel)) {
+            throw new Error(I18n.t('rules.errors.file'));
+        }
+
+        const distribution = {};
+        for (let difficulty = 1; difficulty <= 5; difficulty++) {
+            const shares = data.distribution[difficulty];
+            if (!Array.isArray(shares) || shares.length !== this.LEVELS.length) {
+                throw new Error(I18n.t('rules.errors.file'));
+            }
+            distribution[difficulty] = shares.map(Number);
+            if (distribution[difficulty].some(share => !Number.isFinite(share) || share < 0) ||
+                    distribution[difficulty].every(share => share === 0)) {
+                throw new Error(I18n.t('rules.errors.distribution', { difficulty }));
+            }
+        }
+
+        return { rules, fallbackLevel, distribution };
+    },
+
+    /**
+     * Turn a rule set into the text of an export file
+     * @param {Object} ruleSet - Rule set
+     * @returns {string} - JSON text
+     */
+    stringify: function(ruleSet) {
+        return JSON.stringify({ app: 'mira-maths', version: this.FILE_VERSION, ...ruleSet }, null, 2);
+    },
+
+    /**
+     * Read the text of an export file
+     * @param {string} text - JSON text
+     * @returns {Object} - Rule set
+     * @throws {Error} - Translated message if the file isn't a valid rule set
+     */
+    parse: function(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(I18n.t('rules.errors.file'));
+        }
+        return this.normalise(data);
+    }
+};
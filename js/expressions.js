@@ -0,0 +1,243 @@
+/**
+ * Multi-step expression questions (order of operations) for Mira Maths
+ */
+
+import { Utils } from './utils.js';
+
+export const Expressions = {
+    // Constants
+    MAX_ATTEMPTS: 100,
+    FOUR_NUMBER_CHANCE: 0.3,    // Chance of three operations instead of two
+    BRACKETS_CHANCE: 0.4,
+    MIN_RESULT_LIMIT: 100,      // Results may go up to max(maxNumber, this)
+    OPERATIONS: ['addition', 'subtraction', 'multiplication', 'division'],
+
+    /**
+     * Generate an expression question such as 3 + 4 × 2 or (12 - 4) ÷ 2
+     * @param {number} maxNumber - Maximum number to use
+     * @returns {Object} - Question object
+     */
+    generate: function(maxNumber) {
+        const tableMax = Math.min(maxNumber, 10);
+        const resultLimit = Math.max(maxNumber, this.MIN_RESULT_LIMIT);
+
+        for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+            const count = Utils.random() < this.FOUR_NUMBER_CHANCE ? 4 : 3;
+
+            // Pick operators, always mixing +/- with ×/÷ so precedence matters
+            const operators = [];
+            for (let i = 0; i < count - 1; i++) {
+                operators.push(this.OPERATIONS[Math.floor(Utils.random() * this.OPERATIONS.length)]);
+            }
+            const hasAdditive = operators.some(op => !this.isMultiplicative(op));
+            const hasMultiplicative = operators.some(op => this.isMultiplicative(op));
+            if (!hasAdditive || !hasMultiplicative) {
+                continue;
+            }
+
+            // Numbers next to × or ÷ stay within the multiplication tables
+            const numbers = [];
+            for (let i = 0; i < count; i++) {
+                const nextToTable = this.isMultiplicative(operators[i - 1]) || this.isMultiplicative(operators[i]);
+                numbers.push(Utils.getRandomInt(1, nextToTable ? tableMax : maxNumber));
+            }
+
+            // Make plain divisions exact (bracketed dividends are checked by evaluate)
+            operators.forEach((op, i) => {
+                if (op === 'division' && tableMax >= 2) {
+                    numbers[i + 1] = Utils.getRandomInt(2, tableMax);
+                    numbers[i] = numbers[i + 1] * Utils.getRandomInt(1, tableMax);
+                }
+            });
+
+            const brackets = Utils.random() < this.BRACKETS_CHANCE ? this.chooseBrackets(operators) : null;
+
+            const result = this.evaluate(numbers, operators, brackets);
+            if (result === null || result > resultLimit) {
+                continue;
+            }
+
+            return this.createQuestion(numbers, operators, brackets, result);
+        }
+
+        // Fall back to a simple expression that is always valid
+        const numbers = [Utils.getRandomInt(1, 9), Utils.getRandomInt(1, tableMax), Utils.getRandomInt(1, tableMax)];
+        const operators = ['addition', 'multiplication'];
+        return this.createQuestion(numbers, operators, null, this.evaluate(numbers, operators, null));
+    },
+
+    /**
+     * Create an expression question object
+     * @param {Array} numbers - Numbers in the expression
+     * @param {Array} operators - Operation names between the numbers
+     * @param {Object|null} brackets - { start, end } indices of the bracketed numbers
+     * @param {number} result - Value of the expression
+     * @returns {Object} - Question object
+     */
+    createQuestion: function(numbers, operators, brackets, result) {
+        return {
+            num1: numbers[0],
+            num2: numbers[1],
+            operation: 'expressions',
+            numbers,
+            operators,
+            brackets,
+            answer: result,
+            result,
+            blank: 'result',
+            userAnswer: null,
+            isCorrect: null,
+            timeElapsed: 0
+        };
+    },
+
+    /**
+     * Choose a random bracketed group that doesn't cover the whole expression
+     * Only groups containing + or - are used, so the brackets can matter
+     * @param {Array} operators - Operation names between the numbers
+     * @returns {Object|null} - { start, end } indices of the bracketed numbers
+     */
+    chooseBrackets: function(operators) {
+        const count = operators.length + 1;
+        const groups = [];
+        for (let start = 0; start < count - 1; start++) {
+            for (let end = start + 1; end < count; end++) {
+                const coversAll = start === 0 && end === count - 1;
+                const hasAdditive = operators.slice(start, end).some(op => !this.isMultiplicative(op));
+                if (!coversAll && hasAdditive) {
+                    groups.push({ start, end });
+                }
+            }
+        }
+        return groups.length > 0 ? groups[Math.floor(Utils.random() * groups.length)] : null;
+    },
+
+    /**
+     * Check whether an operation is multiplication or division
+     * @param {string} operation - Operation name
+     * @returns {boolean} - True for × and ÷
+     */
+    isMultiplicative: function(operation) {
+        return operation === 'multiplication' || operation === 'division';
+    },
+
+    /**
+     * Evaluate an expression using brackets first, then × and ÷, then + and -
+     * @param {Array} numbers - Numbers in the expression
+     * @param {Array} operators - Operation names between the numbers
+     * @param {Object|null} brackets - { start, end } indices of the bracketed numbers
+     * @returns {number|null} - Result, or null if a step is not a whole number or goes negative
+     */
+    evaluate: function(numbers, operators, brackets) {
+        // Brackets: work out the inside first and replace it with its value
+        if (brackets) {
+            const inner = this.evaluate(
+                numbers.slice(brackets.start, brackets.end + 1),
+                operators.slice(brackets.start, brackets.end),
+                null
+            );
+            if (inner === null) {
+                return null;
+            }
+
+            return this.evaluate(
+                [...numbers.slice(0, brackets.start), inner, ...numbers.slice(brackets.end + 1)],
+                [...operators.slice(0, brackets.start), ...operators.slice(brackets.end)],
+                null
+            );
+        }
+
+        // Multiplication and division, left to right
+        const values = [numbers[0]];
+        const additiveOperators = [];
+        for (let i = 0; i < operators.length; i++) {
+            const number = numbers[i + 1];
+            const last = values.length - 1;
+
+            if (operators[i] === 'multiplication') {
+                values[last] *= number;
+            } else if (operators[i] === 'division') {
+                if (number === 0 || values[last] % number !== 0) {
+                    return null;
+                }
+                values[last] /= number;
+            } else {
+                additiveOperators.push(operators[i]);
+                values.push(number);
+            }
+        }
+
+        // Addition and subtraction, left to right
+        let total = values[0];
+        for (let i = 0; i < additiveOperators.length; i++) {
+            total = additiveOperators[i] === 'addition' ? total + values[i + 1] : total - values[i + 1];
+            if (total < 0) {
+                return null;
+            }
+        }
+
+        return total;
+    },
+
+    /**
+     * Evaluate an expression strictly left to right, ignoring precedence and brackets
+     * This is the common mistake the question is testing for
+     * @param {Array} numbers - Numbers in the expression
+     * @param {Array} operators - Operation names between the numbers
+     * @returns {number} - Left-to-right result (may not be a whole number)
+     */
+    evaluateLeftToRight: function(numbers, operators) {
+        return operators.reduce((total, op, i) => {
+            const number = numbers[i + 1];
+            switch(op) {
+                case 'subtraction': return total - number;
+                case 'multiplication': return total * number;
+                case 'division': return total / number;
+                default: return total + number;
+            }
+        }, numbers[0]);
+    },
+
+    /**
+     * Get difficulty level of an expression question
+     * @param {Object} question - Expression question object
+     * @returns {number} - Difficulty level (1-3)
+     */
+    getDifficultyLevel: function(question) {
+        const { numbers, operators, brackets, result } = question;
+
+        // Level 3 (Hard): three operations
+        if (numbers.length > 3) {
+            return 3;
+        }
+
+        // Level 1 (Easy): working left to right gives the right answer (3 × 4 + 2)
+        if (this.evaluateLeftToRight(numbers, operators) === result) {
+            return 1;
+        }
+
+        // Level 2 (Medium): brackets show which part to do first (2 × (3 + 4))
+        // Level 3 (Hard): precedence must be remembered (3 + 4 × 2)
+        return brackets ? 2 : 3;
+    },
+
+    /**
+     * Format an expression for display
+     * @param {Object} question - Expression question object
+     * @returns {string} - Expression text without "="
+     */
+    format: function(question) {
+        const { numbers, operators, brackets } = question;
+
+        return numbers.map((number, i) => {
+            let text = `${number}`;
+            if (brackets && i === brackets.start) {
+                text = `(${text}`;
+            }
+            if (brackets && i === brackets.end) {
+                text = `${text})`;
+            }
+            return i === 0 ? text : `${Utils.getOperationSymbol(operators[i - 1])} ${text}`;
+        }).join(' ');
+    }
+};
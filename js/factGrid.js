@@ -0,0 +1,176 @@
+/**
+ * Fact grid (times table and addition heatmap) for Mira Maths
+ */
+
+import { I18n } from './i18n.js';
+import { Settings } from './settings.js';
+import { Utils } from './utils.js';
+import { Mastery } from './mastery.js';
+import { QuestionGenerator } from './questionGenerator.js';
+import { Game } from './game.js';
+
+export const FactGrid = {
+    // Grid ranges per operation
+    GRIDS: {
+        multiplication: { min: 1, max: 12 },
+        addition: { min: 0, max: 20 }
+    },
+
+    /**
+     * Show the fact grid screen
+     */
+    show: function() {
+        this.render();
+        Utils.showScreen('facts-screen');
+    },
+
+    /**
+     * Get the current options from the fact grid screen
+     * @returns {Object} - Options (operation, merge)
+     */
+    getOptions: function() {
+        return {
+            operation: document.getElementById('facts-operation').value,
+            merge: document.getElementById('facts-merge').checked
+        };
+    },
+
+    /**
+     * Render the grid for the chosen operation
+     */
+    render: function() {
+        const { operation, merge } = this.getOptions();
+        const { min, max } = this.GRIDS[operation];
+        const facts = Mastery.loadFacts();
+        const symbol = Utils.getOperationSymbol(operation);
+
+        const container = document.getElementById('facts-grid');
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        table.className = `fact-grid fact-grid-${operation}`;
+
+        // Header row with the second number
+        const headerRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.textContent = symbol;
+        headerRow.appendChild(corner);
+        for (let num2 = min; num2 <= max; num2++) {
+            const heading = document.createElement('th');
+            heading.textContent = num2;
+            headerRow.appendChild(heading);
+        }
+        table.appendChild(headerRow);
+
+        // One row per first number
+        for (let num1 = min; num1 <= max; num1++) {
+            const row = document.createElement('tr');
+            const heading = document.createElement('th');
+            heading.textContent = num1;
+            row.appendChild(heading);
+
+            for (let num2 = min; num2 <= max; num2++) {
+                const cell = document.createElement('td');
+                cell.appendChild(this.createCell(facts, operation, num1, num2, merge));
+                row.appendChild(cell);
+            }
+
+            table.appendChild(row);
+        }
+
+        container.appendChild(table);
+    },
+
+    /**
+     * Create the button for one fact, coloured by accuracy and speed
+     * @param {Object} facts - Facts from Mastery.loadFacts
+     * @param {string} operation - 'multiplication' or 'addition'
+     * @param {number} num1 - First number
+     * @param {number} num2 - Second number
+     * @param {boolean} merge - True to combine the fact with its commuted form (3 × 4 and 4 × 3)
+     * @returns {HTMLElement} - Cell button
+     */
+    createCell: function(facts, operation, num1, num2, merge) {
+        const question = QuestionGenerator.createQuestion(operation, num1, num2);
+        const button = document.createElement('button');
+        button.className = 'fact-cell';
+        button.textContent = question.answer;
+
+        const stats = this.getStats(facts, operation, num1, num2, merge);
+        if (stats.attempts === 0) {
+            button.classList.add('no-data');
+            button.title = I18n.t('facts.notPractised', { fact: QuestionGenerator.formatSolution(question) });
+        } else {
+            // Green when mastered, through yellow to red when weak
+            const hue = Math.round(120 * (1 - Mastery.getWeakness(stats)));
+            button.style.backgroundColor = `hsl(${hue}, 70%, 70%)`;
+
+            const details = {
+                fact: QuestionGenerator.formatSolution(question),
+                correct: stats.correct,
+                attempts: stats.attempts
+            };
+            if (stats.timedAttempts > 0) {
+                details.seconds = I18n.formatNumbers((stats.totalTime / stats.timedAttempts).toFixed(1));
+                button.title = I18n.t('facts.averageTime', details);
+            } else {
+                button.title = I18n.t('facts.stats', details);
+            }
+        }
+
+        button.onclick = () => this.startDrill(operation, num1, num2);
+        return button;
+    },
+
+    /**
+     * Get the combined statistics for a fact
+     * Facts use the same identity as QuestionGenerator.getFactKey
+     * @param {Object} facts - Facts from Mastery.loadFacts
+     * @param {string} operation - Operation name
+     * @param {number} num1 - First number
+     * @param {number} num2 - Second number
+     * @param {boolean} merge - True to include the commuted fact
+     * @returns {Object} - { attempts, correct, timedAttempts, totalTime, recent }
+     */
+    getStats: function(facts, operation, num1, num2, merge) {
+        const keys = [QuestionGenerator.getFactKey({ operation, num1, num2 })];
+        if (merge && num1 !== num2) {
+            keys.push(QuestionGenerator.getFactKey({ operation, num1: num2, num2: num1 }));
+        }
+
+        return keys.map(key => facts[key]).filter(Boolean).reduce((stats, fact) => ({
+            attempts: stats.attempts + fact.attempts,
+            correct: stats.correct + fact.correct,
+            timedAttempts: stats.timedAttempts + fact.timedAttempts,
+            totalTime: stats.totalTime + fact.totalTime,
+            recent: [...stats.recent, ...fact.recent]
+        }), { attempts: 0, correct: 0, timedAttempts: 0, totalTime: 0, recent: [] });
+    },
+
+    /**
+     * Start a quick timed drill on a fact and its neighbours
+     * @param {string} operation - Operation name
+     * @param {number} num1 - First number
+     * @param {number} num2 - Second number
+     */
+    startDrill: function(operation, num1, num2) {
+        try {
+            const { min, max } = this.GRIDS[operation];
+            const questions = QuestionGenerator.generateDrillQuestions(operation, num1, num2, min, max);
+
+            // Use the time limit from the settings screen
+            const settings = {
+                ...Settings.readForm(),
+                operations: [operation],
+                questionCount: questions.length,
+                practiceMode: 'timed',
+                debugMode: false,
+                drill: true
+            };
+
+            Game.init(settings, questions);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+};
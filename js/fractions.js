@@ -0,0 +1,258 @@
+/**
+ * Fraction arithmetic and fraction questions for Mira Maths
+ */
+
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+export const Fractions = {
+    // Constants
+    MAX_DENOMINATOR: 10,        // Largest denominator in addition/subtraction questions
+    MAX_SIMPLIFY_FACTOR: 5,     // Largest common factor to cancel in "simplify" questions
+    KINDS: ['addition', 'subtraction', 'simplify'],
+
+    /**
+     * Get the greatest common divisor of two integers
+     * @param {number} a - First integer
+     * @param {number} b - Second integer
+     * @returns {number} - Greatest common divisor (always positive)
+     */
+    gcd: function(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a || 1;
+    },
+
+    /**
+     * Reduce a fraction to lowest terms
+     * @param {Object} fraction - { num, den }
+     * @returns {Object} - Simplified { num, den } with a positive denominator
+     */
+    simplify: function(fraction) {
+        const sign = fraction.den < 0 ? -1 : 1;
+        const divisor = this.gcd(fraction.num, fraction.den);
+        return { num: sign * fraction.num / divisor, den: sign * fraction.den / divisor };
+    },
+
+    /**
+     * Add two fractions
+     * @param {Object} a - { num, den }
+     * @param {Object} b - { num, den }
+     * @returns {Object} - Simplified sum
+     */
+    add: function(a, b) {
+        return this.simplify({ num: a.num * b.den + b.num * a.den, den: a.den * b.den });
+    },
+
+    /**
+     * Subtract one fraction from another
+     * @param {Object} a - { num, den }
+     * @param {Object} b - { num, den }
+     * @returns {Object} - Simplified difference
+     */
+    subtract: function(a, b) {
+        return this.simplify({ num: a.num * b.den - b.num * a.den, den: a.den * b.den });
+    },
+
+    /**
+     * Check whether two fractions have the same value
+     * @param {Object} a - { num, den }
+     * @param {Object} b - { num, den }
+     * @returns {boolean} - True if equal in value
+     */
+    equals: function(a, b) {
+        return a.num * b.den === b.num * a.den;
+    },
+
+    /**
+     * Check whether a fraction is in lowest terms
+     * @param {Object} fraction - { num, den }
+     * @returns {boolean} - True if numerator and denominator share no factor
+     */
+    isSimplest: function(fraction) {
+        return this.gcd(fraction.num, fraction.den) === 1;
+    },
+
+    /**
+     * Parse a whole number, fraction, mixed number or decimal
+     * Accepts "3", "3/4", "1 1/2" and "0.75"; the result is not simplified
+     * @param {string} text - Text to parse
+     * @returns {Object|null} - { num, den }, or null if the text isn't a number
+     */
+    parse: function(text) {
+        const normalised = String(text).trim().replace(/\s*\/\s*/g, '/').replace(/\s+/g, ' ');
+
+        // Mixed number: 1 1/2
+        let match = normalised.match(/^(-?)(\d+) (\d+)\/(\d+)$/);
+        if (match) {
+            const sign = match[1] ? -1 : 1;
+            const den = parseInt(match[4]);
+            if (den === 0) {
+                return null;
+            }
+            return { num: sign * (parseInt(match[2]) * den + parseInt(match[3])), den };
+        }
+
+        // Fraction: 3/4
+        match = normalised.match(/^(-?)(\d+)\/(\d+)$/);
+        if (match) {
+            const den = parseInt(match[3]);
+            if (den === 0) {
+                return null;
+            }
+            return { num: (match[1] ? -1 : 1) * parseInt(match[2]), den };
+        }
+
+        // Whole number or decimal: 3, 0.75, .5
+        match = normalised.match(/^(-?)(\d*)\.?(\d*)$/);
+        if (match && (match[2] || match[3])) {
+            const den = Math.pow(10, match[3].length);
+            return { num: (match[1] ? -1 : 1) * parseInt(`${match[2]}${match[3]}` || '0'), den };
+        }
+
+        return null;
+    },
+
+    /**
+     * Format a fraction in lowest terms, as a mixed number if it is improper
+     * @param {Object} fraction - { num, den }
+     * @returns {string} - e.g. "3/4", "1 1/2" or "2"
+     */
+    format: function(fraction) {
+        const { num, den } = this.simplify(fraction);
+        const sign = num < 0 ? '-' : '';
+        const whole = Math.floor(Math.abs(num) / den);
+        const remainder = Math.abs(num) % den;
+
+        if (remainder === 0) {
+            return `${sign}${whole}`;
+        }
+        if (whole === 0) {
+            return `${sign}${remainder}/${den}`;
+        }
+        return `${sign}${whole} ${remainder}/${den}`;
+    },
+
+    /**
+     * Generate a fraction question: add, subtract or simplify
+     * @returns {Object} - Question object
+     */
+    generate: function() {
+        const kind = this.KINDS[Math.floor(Utils.random() * this.KINDS.length)];
+
+        if (kind === 'simplify') {
+            // Build the simplified fraction first, then scale it up
+            const simplest = this.getRandomProperFraction(Utils.getRandomInt(2, this.MAX_DENOMINATOR));
+            const factor = Utils.getRandomInt(2, this.MAX_SIMPLIFY_FACTOR);
+            return this.createQuestion(kind, { num: simplest.num * factor, den: simplest.den * factor }, null);
+        }
+
+        // Like denominators half of the time
+        const den1 = Utils.getRandomInt(2, this.MAX_DENOMINATOR);
+        const den2 = Utils.random() < 0.5 ? den1 : Utils.getRandomInt(2, this.MAX_DENOMINATOR);
+        let fraction1 = this.getRandomProperFraction(den1);
+        let fraction2 = this.getRandomProperFraction(den2);
+
+        // Keep subtraction results positive (equal fractions are added instead)
+        if (kind === 'subtraction' && fraction1.num * fraction2.den < fraction2.num * fraction1.den) {
+            [fraction1, fraction2] = [fraction2, fraction1];
+        }
+        if (kind === 'subtraction' && this.equals(fraction1, fraction2)) {
+            return this.createQuestion('addition', fraction1, fraction2);
+        }
+
+        return this.createQuestion(kind, fraction1, fraction2);
+    },
+
+    /**
+     * Get a random proper fraction in lowest terms with the given denominator
+     * @param {number} den - Denominator (2 or more)
+     * @returns {Object} - { num, den }
+     */
+    getRandomProperFraction: function(den) {
+        let num = Utils.getRandomInt(1, den - 1);
+        while (this.gcd(num, den) !== 1) {
+            num--;
+        }
+        return { num, den };
+    },
+
+    /**
+     * Create a fraction question object
+     * @param {string} kind - 'addition', 'subtraction' or 'simplify'
+     * @param {Object} fraction1 - First fraction { num, den }
+     * @param {Object|null} fraction2 - Second fraction (null for simplify)
+     * @returns {Object} - Question object
+     */
+    createQuestion: function(kind, fraction1, fraction2) {
+        let result;
+        switch(kind) {
+            case 'addition': result = this.add(fraction1, fraction2); break;
+            case 'subtraction': result = this.subtract(fraction1, fraction2); break;
+            default: result = this.simplify(fraction1);
+        }
+
+        const answer = this.format(result);
+
+        return {
+            num1: `${fraction1.num}/${fraction1.den}`,
+            num2: fraction2 ? `${fraction2.num}/${fraction2.den}` : null,
+            operation: 'fractions',
+            fractionKind: kind,
+            fraction1,
+            fraction2,
+            answer,
+            result: answer,
+            blank: 'result',
+            answerType: 'fraction',
+            requireSimplest: kind === 'simplify',
+            userAnswer: null,
+            isCorrect: null,
+            timeElapsed: 0
+        };
+    },
+
+    /**
+     * Get difficulty level of a fraction question
+     * @param {Object} question - Fraction question object
+     * @returns {number} - Difficulty level (1-3)
+     */
+    getDifficultyLevel: function(question) {
+        const { fractionKind, fraction1, fraction2 } = question;
+
+        if (fractionKind === 'simplify') {
+            // Level 1: small numbers (4/6), Level 2: medium (12/18), Level 3: large (35/50)
+            if (fraction1.den <= 10) return 1;
+            if (fraction1.den <= 24) return 2;
+            return 3;
+        }
+
+        // Level 1 (Easy): same denominators (1/5 + 2/5)
+        if (fraction1.den === fraction2.den) {
+            return 1;
+        }
+
+        // Level 2 (Medium): one denominator is a multiple of the other (1/4 + 3/8)
+        if (fraction1.den % fraction2.den === 0 || fraction2.den % fraction1.den === 0) {
+            return 2;
+        }
+
+        // Level 3 (Hard): needs a common denominator of both (2/3 + 1/4)
+        return 3;
+    },
+
+    /**
+     * Format a fraction question for display
+     * @param {Object} question - Fraction question object
+     * @returns {string} - Question text without "="
+     */
+    formatQuestion: function(question) {
+        if (question.fractionKind === 'simplify') {
+            return I18n.t('question.simplify', { fraction: question.num1 });
+        }
+        return `${question.num1} ${Utils.getOperationSymbol(question.fractionKind)} ${question.num2}`;
+    }
+};
@@ -1,55 +1,116 @@
 /**
- * Game controller for Mira Maths
+ * Game screens for Mira Maths
+ * Shows a Session (see session.js) on the page: it renders the questions and feedback the
+ * session sends, and passes on answers, time-outs and pauses from the child
  */
 
-const Game = {
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+import { ProgressStore } from './progressStore.js';
+import { Mastery } from './mastery.js';
+import { Answers } from './answers.js';
+import { Mistakes } from './mistakes.js';
+import { QuestionGenerator } from './questionGenerator.js';
+import { Session } from './session.js';
+import { Timer } from './timer.js';
+import { Sound } from './sound.js';
+import { Keypad } from './keypad.js';
+import { Achievements } from './achievements.js';
+
+export const Game = {
     // Event handler references for cleanup
     _answerInputHandler: null,
     _answerKeydownHandler: null,
     _submitBtnHandler: null,
+    _worksheetFocusHandler: null,
     // Game state
-    settings: null,
-    questions: [],
-    currentQuestionIndex: 0,
-    score: 0,
+    session: null,      // Session being shown
+    settings: null,     // The session's settings
+    newBadges: [],      // Badges unlocked during this game
     gameInProgress: false,
+    paused: false,
+    advanceTimeoutId: null,
+    keypadEnabled: false,
     lastUsedMode: null, // Track last practice mode for retry
+
+    // Calls that stop listening to the session (see quit)
+    sessionListeners: [],
+
+    // Questions longer than this many characters use a smaller font
+    LONG_QUESTION_LENGTH: 12,
+
+    // Pause after each answer before the next question (milliseconds)
+    FEEDBACK_DELAY: 1000,
+    SPRINT_FEEDBACK_DELAY: 300,
+
+    // Response timing on the worksheet (milliseconds from performance.now)
+    worksheetTimings: [],
     
     // DOM elements
     timerBar: null,
     questionElement: null,
     answerInput: null,
+    remainderInput: null,
+    remainderLabel: null,
     feedbackElement: null,
     currentQuestionIndicator: null,
     totalQuestionsIndicator: null,
     progressFill: null,
     
     /**
-     * Initialize the game with settings
+     * Start a new game with settings
      * @param {Object} settings - Game settings
+     * @param {Array|null} questions - Questions to ask (e.g. a mistakes round), or null to generate them
      */
-    init: function(settings) {
-        // Store settings and remember the mode for retry
-        this.settings = settings;
+    init: function(settings, questions = null) {
+        // Stop anything left from a previous game
+        this.quit();
+
+        // Remember the mode for retry
         this.lastUsedMode = settings.practiceMode;
 
-        // Reset game state
-        this.questions = [];
-        this.currentQuestionIndex = 0;
-        this.score = 0;
+        // Create the session (this generates the questions)
+        this.session = Session.create(settings, questions);
+        this.settings = this.session.settings;
+        this.newBadges = [];
+
+        // Show what the session does
+        this.sessionListeners = [
+            this.session.on('question', (event) => this.showQuestion(event)),
+            this.session.on('answer', (event) => this.showAnswer(event)),
+            this.session.on('levelUp', (event) => this.showFeedback(I18n.t('game.levelUp', { level: event.level }), 'correct')),
+            this.session.on('round', (event) => this.showWorksheet(event)),
+            this.session.on('end', (summary) => this.endGame(summary))
+        ];
 
-        // Generate questions
-        this.questions = QuestionGenerator.generateQuestions(settings);
+        // Use the on-screen keypad instead of the device keyboard?
+        this.keypadEnabled = Keypad.isEnabled(this.settings.keypadMode);
 
         // Flag game as in progress
         this.gameInProgress = true;
 
-        // Check practice mode
-        if (settings.practiceMode === 'all-at-once') {
-            this.initAllAtOnceMode();
-        } else {
+        // Set up the screen for the practice mode, then show the first question (or the worksheet)
+        if (!this.session.isWorksheet()) {
             this.initTimedMode();
         }
+        this.session.start();
+    },
+
+    /**
+     * Leave the current game without finishing it (e.g. the Back button)
+     * Stops the timer and stops listening to the session, so the game can't end later
+     * and save results or unlock badges
+     */
+    quit: function() {
+        clearTimeout(this.advanceTimeoutId);
+        this.advanceTimeoutId = null;
+        Timer.stop();
+
+        this.sessionListeners.forEach(unsubscribe => unsubscribe());
+        this.sessionListeners = [];
+
+        this.gameInProgress = false;
+        this.setPaused(false);
     },
 
     /**
@@ -60,20 +121,31 @@ const Game = {
         this.timerBar = document.getElementById('timer-bar');
         this.questionElement = document.getElementById('question');
         this.answerInput = document.getElementById('answer-input');
+        this.remainderInput = document.getElementById('remainder-input');
+        this.remainderLabel = document.getElementById('remainder-label');
         this.feedbackElement = document.getElementById('feedback');
         this.currentQuestionIndicator = document.getElementById('current-question');
         this.totalQuestionsIndicator = document.getElementById('total-questions');
         this.progressFill = document.querySelector('.progress-fill');
+        document.getElementById('badge-toast').hidden = true;
 
-        // Initialize timer
-        Timer.init(this.settings.timePerQuestion, this.timerBar, {
+        // Initialize timer (one countdown for the whole game in a sprint)
+        const isSprint = this.settings.practiceMode === 'sprint';
+        Timer.init(isSprint ? this.settings.sprintSeconds : this.settings.timePerQuestion, this.timerBar, {
             onWarning: () => this.onTimerWarning(),
             onDanger: () => this.onTimerDanger(),
             onComplete: () => this.onTimerComplete()
         });
 
-        // Update UI
-        this.totalQuestionsIndicator.textContent = this.settings.questionCount;
+        // Hide the timer bar when the timer is turned off
+        document.querySelector('.timer-container').hidden = !this.settings.timerEnabled && !isSprint;
+
+        // Update UI (there is no question total when questions are created as they go)
+        const onDemand = this.session.generatesOnDemand();
+        this.totalQuestionsIndicator.textContent = this.session.questions.length;
+        document.querySelector('.question-total').hidden = onDemand;
+        document.querySelector('#game-screen .progress-bar').hidden = onDemand;
+        this.updateModeStatus();
 
         // Remove previous listeners if they exist
         if (this._submitBtnHandler) {
@@ -81,42 +153,64 @@ const Game = {
         }
         if (this._answerKeydownHandler) {
             this.answerInput.removeEventListener('keydown', this._answerKeydownHandler);
+            this.remainderInput.removeEventListener('keydown', this._answerKeydownHandler);
         }
         if (this._answerInputHandler) {
             this.answerInput.removeEventListener('input', this._answerInputHandler);
+            this.remainderInput.removeEventListener('input', this._answerInputHandler);
         }
 
+        // Show the sign button in integers mode (numeric keyboards often have no minus key)
+        const signButton = document.getElementById('toggle-sign');
+        signButton.hidden = !this.settings.allowNegatives || this.keypadEnabled;
+        signButton.onclick = () => this.toggleSign(this.answerInput);
+
         // Define named handler functions
         this._submitBtnHandler = () => this.submitAnswer();
         this._answerKeydownHandler = (e) => {
             if (e.key === 'Enter') {
+                // Move on to the remainder before submitting a division with remainder
+                if (e.target === this.answerInput && !this.remainderInput.hidden && this.remainderInput.value === '') {
+                    this.remainderInput.focus();
+                    return;
+                }
                 this.submitAnswer();
             }
         };
         this._answerInputHandler = () => {
-            const userAnswer = parseInt(this.answerInput.value);
-            const currentQuestion = this.getCurrentQuestion();
-            if (!isNaN(userAnswer) && userAnswer === currentQuestion.answer) {
+            if (this.session.recordInput(this.getAnswerText())) {
                 this.submitAnswer();
             }
         };
 
+        // On-screen keypad types into whichever answer box has focus
+        const keypad = document.getElementById('game-keypad');
+        keypad.hidden = !this.keypadEnabled;
+        if (this.keypadEnabled) {
+            Keypad.render(keypad, {
+                submitLabel: I18n.t('game.submit'),
+                onSubmit: (input) => this._answerKeydownHandler({ key: 'Enter', target: input })
+            });
+        }
+        this.answerInput.onfocus = () => Keypad.setTarget(this.answerInput);
+        this.remainderInput.onfocus = () => Keypad.setTarget(this.remainderInput);
+
         // Add listeners
         document.getElementById('submit-answer').addEventListener('click', this._submitBtnHandler);
         this.answerInput.addEventListener('keydown', this._answerKeydownHandler);
         this.answerInput.addEventListener('input', this._answerInputHandler);
+        this.remainderInput.addEventListener('keydown', this._answerKeydownHandler);
+        this.remainderInput.addEventListener('input', this._answerInputHandler);
 
         // Show game screen
         Utils.showScreen('game-screen');
-
-        // Start with first question
-        this.showQuestion(0);
     },
 
     /**
-     * Initialize all-at-once mode (all questions on one page)
+     * Show a worksheet page (all-at-once mode)
+     * @param {Object} event - Round event from the session: { questions, number }
      */
-    initAllAtOnceMode: function() {
+    showWorksheet: function(event) {
         // Get container
         const container = document.getElementById('all-questions-container');
         container.innerHTML = '';
@@ -124,17 +218,25 @@ const Game = {
         // Check if debug mode is enabled
         const isDebugMode = this.settings.debugMode || false;
 
-        // Update header text if debug mode
+        // Update header text if debug mode or repeating mistakes
         const headerText = document.querySelector('#all-at-once-screen .all-at-once-header p');
         if (headerText) {
-            headerText.textContent = isDebugMode
-                ? 'Debug Mode: Difficulty levels shown'
-                : 'Take your time and answer all questions below';
+            if (isDebugMode) {
+                headerText.textContent = I18n.t('worksheet.debug');
+            } else if (event.number > 1) {
+                headerText.textContent = I18n.t('worksheet.mistakes');
+            } else {
+                headerText.textContent = I18n.t('worksheet.intro');
+            }
         }
 
-        // Group questions into columns of 10
+        // Response timing for each question on this page
+        this.worksheetTimings = [];
+
+        // Group questions into columns of 10 (only the current round when repeating mistakes)
+        const questions = event.questions;
         const questionsPerColumn = 10;
-        const numColumns = Math.ceil(this.questions.length / questionsPerColumn);
+        const numColumns = Math.ceil(questions.length / questionsPerColumn);
 
         for (let col = 0; col < numColumns; col++) {
             // Create column box
@@ -143,10 +245,10 @@ const Game = {
 
             // Get questions for this column
             const startIdx = col * questionsPerColumn;
-            const endIdx = Math.min(startIdx + questionsPerColumn, this.questions.length);
+            const endIdx = Math.min(startIdx + questionsPerColumn, questions.length);
 
             for (let i = startIdx; i < endIdx; i++) {
-                const question = this.questions[i];
+                const question = questions[i];
 
                 const questionDiv = document.createElement('div');
                 questionDiv.className = 'question-item';
@@ -160,15 +262,55 @@ const Game = {
                 questionText.textContent = QuestionGenerator.formatQuestion(question);
 
                 const answerInput = document.createElement('input');
-                answerInput.type = 'number';
-                answerInput.className = 'question-answer-input';
+                answerInput.type = 'text';
+                answerInput.inputMode = Answers.getInputMode(question);
+                answerInput.autocomplete = 'off';
+                answerInput.className = question.answerType ? 'question-answer-input wide' : 'question-answer-input';
                 answerInput.id = `answer-${i}`;
-                answerInput.placeholder = '?';
+                answerInput.placeholder = question.answerType === 'remainder' ? '? r ?' : '?';
+                answerInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        this.focusNextAnswer(answerInput);
+                    }
+                });
+                if (this.keypadEnabled) {
+                    answerInput.inputMode = 'none';
+                }
+                answerInput.setAttribute('aria-label', I18n.t('worksheet.answerLabel', {
+                    number: i + 1,
+                    question: Utils.toSpokenText(questionText.textContent)
+                }));
+
+                // Time each answer from reaching the question to the last change to it
+                const timing = { startedAt: null, firstKeyAt: null, lastKeyAt: null };
+                this.worksheetTimings[i] = timing;
+                answerInput.addEventListener('focus', () => {
+                    if (timing.startedAt === null) {
+                        timing.startedAt = performance.now();
+                    }
+                });
+                answerInput.addEventListener('input', () => {
+                    timing.lastKeyAt = performance.now();
+                    if (timing.firstKeyAt === null) {
+                        timing.firstKeyAt = timing.lastKeyAt;
+                    }
+                });
 
                 questionDiv.appendChild(questionNumber);
                 questionDiv.appendChild(questionText);
                 questionDiv.appendChild(answerInput);
 
+                // Add a sign button in integers mode
+                if (this.settings.allowNegatives) {
+                    const signButton = document.createElement('button');
+                    signButton.className = 'btn btn-sign btn-sign-small';
+                    signButton.textContent = '±';
+                    signButton.setAttribute('aria-label', I18n.t('worksheet.toggleSign', { number: i + 1 }));
+                    signButton.onclick = () => this.toggleSign(answerInput);
+                    questionDiv.classList.add('with-sign');
+                    questionDiv.appendChild(signButton);
+                }
+
                 // Add difficulty badge in debug mode
                 if (isDebugMode) {
                     const difficultyLevel = QuestionGenerator.getDifficultyLevel(question, this.settings.maxNumber);
@@ -184,6 +326,28 @@ const Game = {
             container.appendChild(columnBox);
         }
 
+        // On-screen keypad types into the answer field with focus
+        const keypad = document.getElementById('worksheet-keypad');
+        keypad.hidden = !this.keypadEnabled;
+        document.getElementById('all-at-once-screen').classList.toggle('has-keypad', this.keypadEnabled);
+        if (this.keypadEnabled) {
+            Keypad.render(keypad, {
+                submitLabel: I18n.t('keypad.next'),
+                onSubmit: (input) => this.focusNextAnswer(input)
+            });
+        }
+        if (this._worksheetFocusHandler) {
+            container.removeEventListener('focusin', this._worksheetFocusHandler);
+        }
+        this._worksheetFocusHandler = (e) => {
+            const index = parseInt(e.target.id.replace('answer-', ''));
+            if (!isNaN(index)) {
+                Keypad.setTarget(e.target);
+                Keypad.setExtraKey(Keypad.getExtraKey(questions[index], false));
+            }
+        };
+        container.addEventListener('focusin', this._worksheetFocusHandler);
+
         // Setup submit button
         const submitBtn = document.getElementById('submit-all-answers');
         submitBtn.onclick = () => this.submitAllAnswers();
@@ -199,99 +363,255 @@ const Game = {
     },
 
     /**
-     * Submit all answers in all-at-once mode
+     * Submit all answers on the worksheet page
      */
     submitAllAnswers: function() {
-        // Collect all answers
-        this.questions.forEach((question, index) => {
-            const input = document.getElementById(`answer-${index}`);
-            const userAnswer = parseInt(input.value);
+        const answers = this.worksheetTimings.map((timing, index) => {
+            // Response times are still measured for the results breakdown
+            const startedAt = timing.startedAt ?? timing.firstKeyAt;
+            return {
+                text: document.getElementById(`answer-${index}`).value,
+                firstKeyMs: timing.firstKeyAt === null ? null : Math.round(timing.firstKeyAt - startedAt),
+                responseMs: timing.lastKeyAt === null ? null : Math.round(timing.lastKeyAt - startedAt)
+            };
+        });
 
-            question.userAnswer = isNaN(userAnswer) ? null : userAnswer;
-            question.isCorrect = question.userAnswer === question.answer;
-            question.timeElapsed = 0; // No timer in all-at-once mode
+        // The session shows the missed questions again in a mistakes round, or ends the game
+        this.session.submitRound(answers);
+    },
 
-            if (question.isCorrect) {
-                this.score++;
-            }
-        });
+    /**
+     * Move to the next answer field on the worksheet, or the submit button after the last one
+     * @param {HTMLInputElement} input - Current answer field
+     */
+    focusNextAnswer: function(input) {
+        const inputs = [...document.querySelectorAll('#all-questions-container .question-answer-input')];
+        const next = inputs[inputs.indexOf(input) + 1];
+        (next || document.getElementById('submit-all-answers')).focus();
+    },
 
-        // End game and show results
-        this.endGame();
+    /**
+     * Get the questions on the current worksheet round
+     * @returns {Array} - Question objects
+     */
+    getRoundQuestions: function() {
+        return this.session.getRoundQuestions();
     },
-    
+
     /**
-     * Show a specific question
-     * @param {number} index - Question index
+     * Show a question
+     * @param {Object} event - Question event from the session: { question, index, total }
      */
-    showQuestion: function(index) {
-        if (index >= this.questions.length) {
-            this.endGame();
-            return;
-        }
-        
-        // Update current question index
-        this.currentQuestionIndex = index;
-        
+    showQuestion: function(event) {
+        const { question, index } = event;
+
         // Update UI elements
         this.currentQuestionIndicator.textContent = index + 1;
         this.updateProgressBar();
-        
-        // Get current question and display
-        const question = this.questions[index];
-        this.questionElement.textContent = QuestionGenerator.formatQuestion(question);
-        
+
+        // Display the question
+        const questionText = QuestionGenerator.formatQuestion(question);
+        this.questionElement.textContent = questionText;
+
+        // Use a smaller font for long questions such as expressions
+        this.questionElement.classList.toggle('long', questionText.length > this.LONG_QUESTION_LENGTH);
+
         // Clear previous answer and feedback
         this.answerInput.value = '';
+        this.answerInput.inputMode = Answers.getInputMode(question);
+
+        // Division with remainders has a second box for the remainder
+        const hasRemainder = question.answerType === 'remainder';
+        this.remainderInput.value = '';
+        this.remainderInput.hidden = !hasRemainder;
+        this.remainderLabel.hidden = !hasRemainder;
+        if (hasRemainder) {
+            this.answerInput.inputMode = 'numeric';
+        }
+
+        // The on-screen keypad replaces the device keyboard
+        if (this.keypadEnabled) {
+            this.answerInput.inputMode = 'none';
+            Keypad.setExtraKey(Keypad.getExtraKey(question, true));
+        }
+        this.remainderInput.inputMode = this.keypadEnabled ? 'none' : 'numeric';
         this.feedbackElement.textContent = '';
         this.feedbackElement.className = 'feedback';
-        
-        // Reset and start timer
-        Timer.reset();
-        Timer.start();
-        
+
+        // Reset and start timer (unless it is turned off)
+        // A sprint has one countdown, started with the first question
+        if (this.settings.practiceMode === 'sprint') {
+            if (index === 0) {
+                Timer.start();
+            }
+        } else if (this.settings.timerEnabled) {
+            Timer.reset(this.session.questionTime);
+            Timer.start();
+            // Shown while paused (after the feedback delay): wait for resume
+            if (this.paused) {
+                Timer.pause();
+            }
+        } else {
+            Timer.reset();
+        }
+
+        // Read the question out for screen reader users
+        const announcement = { number: index + 1, total: event.total, question: Utils.toSpokenText(questionText) };
+        Utils.announce(I18n.t(event.total === null ? 'game.announceQuestion' : 'game.announceQuestionOf', announcement));
+
         // Focus on answer input
         this.answerInput.focus();
     },
-    
+
     /**
-     * Get the current question object
-     * @returns {Object} - Current question
+     * Add or remove a minus sign at the start of an answer field
+     * @param {HTMLInputElement} input - Answer field
      */
-    getCurrentQuestion: function() {
-        return this.questions[this.currentQuestionIndex];
+    toggleSign: function(input) {
+        input.value = input.value.startsWith('-') ? input.value.slice(1) : `-${input.value}`;
+        input.focus();
+        input.dispatchEvent(new Event('input'));
     },
-    
+
+    /**
+     * Get the answer typed in timed mode, joining quotient and remainder if needed
+     * @returns {string} - Answer text
+     */
+    getAnswerText: function() {
+        const remainder = this.remainderInput.value.trim();
+        if (this.session.getCurrentQuestion().answerType === 'remainder' && remainder !== '') {
+            return `${this.answerInput.value.trim()} r ${remainder}`;
+        }
+        return this.answerInput.value;
+    },
+
     /**
-     * Submit current answer and move to next question
+     * Submit the typed answer to the session
      */
     submitAnswer: function() {
-        // Stop timer
-        Timer.stop();
-        
-        // Get current question and user's answer
-        const question = this.getCurrentQuestion();
-        const userAnswer = parseInt(this.answerInput.value);
-        
-        // Record answer and check correctness
-        question.userAnswer = isNaN(userAnswer) ? null : userAnswer;
-        question.isCorrect = question.userAnswer === question.answer;
-        question.timeElapsed = this.settings.timePerQuestion - Timer.getRemainingSeconds();
-        
-        // Update score
+        // Stop timer (a sprint's countdown keeps running)
+        if (this.settings.practiceMode !== 'sprint') {
+            Timer.stop();
+        }
+
+        this.session.submitAnswer(this.getAnswerText());
+    },
+
+    /**
+     * Show whether an answer was right, then move to the next question after a short delay
+     * @param {Object} event - Answer event from the session: { question, streak }
+     */
+    showAnswer: function(event) {
+        const question = event.question;
+
         if (question.isCorrect) {
-            this.score++;
-            this.showFeedback('Correct!', 'correct');
+            this.showFeedback(I18n.t('game.correct'), 'correct');
+            Sound.play('correct');
+        } else if (question.userAnswer === null) {
+            this.showFeedback(I18n.t('game.timesUp'), 'incorrect');
+            Sound.play('timesUp');
         } else {
-            this.showFeedback(question.userAnswer === null ? 'Time\'s up!' : 'Incorrect!', 'incorrect');
+            this.showFeedback(I18n.t('game.incorrect'), 'incorrect');
+            Sound.play('incorrect');
         }
-        
-        // Move to next question after short delay
-        setTimeout(() => {
-            this.showQuestion(this.currentQuestionIndex + 1);
-        }, 1000);
+
+        // Streak badges can be unlocked without waiting for the end of the game
+        if (!this.settings.debugMode) {
+            this.showUnlockedBadges(Achievements.checkDuringPlay(event.streak));
+        }
+
+        // A mistakes round may have added the question again at the end
+        this.totalQuestionsIndicator.textContent = this.session.questions.length;
+        this.updateModeStatus();
+
+        const delay = this.settings.practiceMode === 'sprint' ? this.SPRINT_FEEDBACK_DELAY : this.FEEDBACK_DELAY;
+        this.advanceTimeoutId = setTimeout(() => {
+            this.advanceTimeoutId = null;
+            this.session.advance();
+        }, delay);
     },
-    
+
+    /**
+     * Let the child know a badge was unlocked during play
+     * @param {Array} badges - Newly unlocked badges
+     */
+    showUnlockedBadges: function(badges) {
+        if (badges.length === 0) {
+            return;
+        }
+        this.newBadges.push(...badges);
+
+        const toast = document.getElementById('badge-toast');
+        toast.textContent = badges.map(badge => `${badge.icon} ${Achievements.getName(badge)}`).join('  ');
+        toast.hidden = false;
+        // Restart the animation if another badge arrives while it is showing
+        toast.classList.remove('show');
+        void toast.offsetWidth;
+        toast.classList.add('show');
+
+        Utils.announce(I18n.t('badges.announce', { names: badges.map(badge => Achievements.getName(badge)).join(', ') }));
+    },
+
+    /**
+     * Show the running score for sprint games, or lives and level for survival
+     */
+    updateModeStatus: function() {
+        const { lives, level, score } = this.session;
+        const status = document.getElementById('mode-status');
+        status.hidden = !this.session.generatesOnDemand();
+
+        if (this.settings.practiceMode === 'survival') {
+            const hearts = '❤️'.repeat(lives) + '🤍'.repeat(Session.SURVIVAL_LIVES - lives);
+            status.textContent = `${hearts} ${I18n.t('game.level', { level })}`;
+            status.setAttribute('aria-label', I18n.plural('game.lives', lives, { level }));
+        } else {
+            status.textContent = I18n.t('game.correctCount', { count: score });
+            status.removeAttribute('aria-label');
+        }
+    },
+
+    /**
+     * Pause a timed game, hiding the question so it can't be worked out in the meantime
+     */
+    pause: function() {
+        const onGameScreen = document.getElementById('game-screen').classList.contains('active');
+        if (!this.gameInProgress || this.paused || !onGameScreen) {
+            return;
+        }
+
+        Timer.pause();
+        this.session.pause();
+        this.setPaused(true);
+        document.getElementById('resume-game').focus();
+        Utils.announce(I18n.t('game.paused'));
+    },
+
+    /**
+     * Resume a paused game where it left off
+     * The session leaves the paused time out of the response time
+     */
+    resume: function() {
+        if (!this.paused) {
+            return;
+        }
+
+        this.session.resume();
+        this.setPaused(false);
+        Timer.resume();
+        this.answerInput.focus();
+    },
+
+    /**
+     * Show or hide the paused state on the game screen
+     * @param {boolean} paused - True when paused
+     */
+    setPaused: function(paused) {
+        this.paused = paused;
+        document.getElementById('game-screen').classList.toggle('paused', paused);
+        document.getElementById('pause-overlay').hidden = !paused;
+        document.getElementById('pause-game').hidden = paused;
+    },
+
     /**
      * Show feedback to user
      * @param {string} message - Feedback message
@@ -301,77 +621,100 @@ const Game = {
         this.feedbackElement.textContent = message;
         this.feedbackElement.className = `feedback ${type}`;
     },
-    
+
     /**
      * Update progress bar
      */
     updateProgressBar: function() {
-        const progress = ((this.currentQuestionIndex) / this.questions.length) * 100;
+        const progress = (this.session.currentQuestionIndex / this.session.questions.length) * 100;
         this.progressFill.style.width = `${progress}%`;
     },
-    
+
     /**
      * Handle timer warning event
      */
     onTimerWarning: function() {
-        // Optional: Add sound or visual cue
+        Sound.play('warning');
     },
-    
+
     /**
      * Handle timer danger event
      */
     onTimerDanger: function() {
-        // Optional: Add sound or visual cue
+        Sound.play('danger');
+        Utils.announce(I18n.plural('game.hurry', Timer.getRemainingSeconds()));
     },
-    
+
     /**
      * Handle timer completion
+     * A sprint ends; otherwise whatever has been typed is submitted
      */
     onTimerComplete: function() {
-        this.submitAnswer();
+        if (this.settings.practiceMode === 'sprint') {
+            clearTimeout(this.advanceTimeoutId);
+            this.advanceTimeoutId = null;
+            Sound.play('timesUp');
+        }
+        this.session.timeout(this.getAnswerText());
     },
-    
+
     /**
      * End the game and show results
+     * @param {Object} summary - Summary from the session (see Session.summarise)
      */
-    endGame: function() {
+    endGame: function(summary) {
+        const { settings, questions } = summary;
+
         // Flag game as not in progress
         this.gameInProgress = false;
-        
+
         // Update score display
-        document.getElementById('score').textContent = this.score;
-        document.getElementById('score-total').textContent = this.questions.length;
-        
-        // Count results by type
-        const correctCount = this.questions.filter(q => q.isCorrect).length;
-        const incorrectCount = this.questions.filter(q => q.isCorrect === false && q.userAnswer !== null).length;
-        const unansweredCount = this.questions.filter(q => q.userAnswer === null).length;
-        
+        document.getElementById('score').textContent = summary.score;
+        document.getElementById('score-total').textContent = summary.total;
+
         // Update stats
-        document.getElementById('correct-count').textContent = correctCount;
-        document.getElementById('incorrect-count').textContent = incorrectCount;
-        document.getElementById('unanswered-count').textContent = unansweredCount;
-        
-        // Calculate percentage score
-        const percentage = (this.score / this.questions.length) * 100;
-        
+        document.getElementById('correct-count').textContent = summary.correct;
+        document.getElementById('incorrect-count').textContent = summary.incorrect;
+        document.getElementById('unanswered-count').textContent = summary.unanswered;
+
         // Set star rating
-        let stars = '';
-        if (percentage === 100) {
-            stars = '⭐⭐⭐';
-        } else if (percentage >= 75) {
-            stars = '⭐⭐';
-        } else if (percentage >= 50) {
-            stars = '⭐';
+        const stars = document.getElementById('stars');
+        stars.textContent = '⭐'.repeat(summary.stars);
+        stars.setAttribute('aria-label', I18n.plural('results.stars', summary.stars));
+
+        // Show the seed so the same set can be played again
+        document.getElementById('results-seed').textContent = settings.seed;
+        document.querySelector('.results-seed').hidden = !settings.seed;
+
+        // Debug games are for checking the question levels, so they aren't kept or counted
+        if (!settings.debugMode) {
+            // Save the session to the practice history
+            ProgressStore.saveSession(ProgressStore.createSessionRecord(settings, questions, summary.stars));
+
+            // Update per-fact mastery used by adaptive mode
+            Mastery.recordQuestions(questions);
+
+            // Unlock badges (after saving, so history-based badges include this game)
+            this.newBadges.push(...Achievements.checkEndOfGame(summary));
         }
-        document.getElementById('stars').textContent = stars;
-        
+        Achievements.showNewBadges(this.newBadges);
+
+        // Show sprint speed and personal best
+        this.showModeResults(summary);
+
+        // Show average and slowest response times
+        this.showTimings(summary);
+
+        // Offer to practise the missed questions
+        const hasMistakes = Mistakes.getMissed(questions).length > 0;
+        document.getElementById('mistakes-actions').hidden = !hasMistakes;
+
         // Display results list - show ALL questions with color coding
         const resultsList = document.getElementById('results-list');
         resultsList.innerHTML = '';
 
         // Add all questions to the results list
-        this.questions.forEach((q, index) => {
+        questions.forEach((q, index) => {
             const resultItem = document.createElement('div');
 
             // Determine class based on result
@@ -384,22 +727,94 @@ const Game = {
             }
 
             const questionText = QuestionGenerator.formatQuestion(q);
-            const correctAnswer = q.answer;
+            const correctAnswer = I18n.formatNumbers(q.answer);
 
             if (q.isCorrect) {
-                resultItem.textContent = `${index + 1}. ${questionText} ${correctAnswer} ✓`;
+                resultItem.textContent = `${index + 1}. ${QuestionGenerator.formatSolution(q)} ✓`;
             } else {
-                const userAnswer = q.userAnswer === null ? 'No answer' : q.userAnswer;
-                resultItem.textContent = `${index + 1}. ${questionText} Correct: ${correctAnswer}, Your answer: ${userAnswer}`;
+                const userAnswer = q.userAnswer === null ? I18n.t('results.noAnswer') : I18n.formatNumbers(q.userAnswer);
+                resultItem.textContent = I18n.t('results.wrong', {
+                    number: index + 1,
+                    question: questionText,
+                    answer: correctAnswer,
+                    userAnswer
+                });
             }
 
             resultsList.appendChild(resultItem);
         });
-        
+
         // Show results screen
         Utils.showScreen('results-screen');
     },
-    
+
+    /**
+     * Show the results that only apply to some modes
+     * (questions per minute for sprints, how far a survival game got)
+     * @param {Object} summary - Summary from the session
+     */
+    showModeResults: function(summary) {
+        const { settings, score } = summary;
+        const modeResults = document.getElementById('mode-results');
+        modeResults.hidden = !this.session.generatesOnDemand();
+        if (modeResults.hidden) {
+            return;
+        }
+
+        if (settings.practiceMode === 'survival') {
+            const previousBest = ProgressStore.updatePersonalBest(`survival:${settings.operations.join('+')}`, score);
+            document.getElementById('mode-results-main').textContent =
+                I18n.t('results.survival', { score, level: summary.level });
+            document.getElementById('mode-results-best').textContent = previousBest === null || score > previousBest
+                ? I18n.t('results.newBest')
+                : I18n.t('results.survivalBest', { best: previousBest });
+            return;
+        }
+
+        const { sprintSeconds, operations } = settings;
+        const perMinute = summary.perMinute;
+        const previousBest = ProgressStore.updatePersonalBest(`sprint:${sprintSeconds}:${operations.join('+')}`, perMinute);
+
+        document.getElementById('mode-results-main').textContent = I18n.t('results.sprint', {
+            score,
+            seconds: sprintSeconds,
+            perMinute: I18n.formatNumbers(perMinute)
+        });
+        document.getElementById('mode-results-best').textContent = previousBest === null || perMinute > previousBest
+            ? I18n.t('results.newBest')
+            : I18n.t('results.sprintBest', { best: I18n.formatNumbers(previousBest) });
+    },
+
+    /**
+     * Show the average response time per operation and the slowest answers
+     * @param {Object} summary - Summary from the session
+     */
+    showTimings: function(summary) {
+        const averageTimes = Object.entries(summary.averageTimes);
+        document.getElementById('results-timing').hidden = averageTimes.length === 0;
+
+        // Average time per operation
+        const operationList = document.getElementById('timing-operations');
+        operationList.innerHTML = '';
+
+        averageTimes.forEach(([operation, average]) => {
+            const item = document.createElement('li');
+            item.textContent = `${Utils.getOperationName(operation)}: ${Utils.formatMilliseconds(average)}`;
+            operationList.appendChild(item);
+        });
+
+        // Slowest answers, showing the correct solution
+        const slowestList = document.getElementById('timing-slowest');
+        slowestList.innerHTML = '';
+
+        summary.slowest.forEach(q => {
+            const item = document.createElement('li');
+            item.className = q.isCorrect ? 'correct' : 'incorrect';
+            item.textContent = `${QuestionGenerator.formatSolution(q)} (${Utils.formatMilliseconds(q.responseMs)})`;
+            slowestList.appendChild(item);
+        });
+    },
+
     /**
      * Check if the game is currently in progress
      * @returns {boolean} - True if game is in progress
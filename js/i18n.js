@@ -0,0 +1,149 @@
+/**
+ * Translation and maths notation for Mira Maths
+ * Text comes from the bundles in translations.js
+ */
+
+import { Translations } from './translations.js';
+
+export const I18n = {
+    // Constants
+    STORAGE_KEY: 'miraMaths.language',
+    DEFAULT_LANGUAGE: 'en',
+
+    // Maths notation as taught in each language's schools
+    NOTATION: {
+        en: { multiplication: '×', division: '÷', decimalSeparator: '.' },
+        fr: { multiplication: '×', division: '÷', decimalSeparator: ',' },
+        de: { multiplication: '·', division: ':', decimalSeparator: ',' },
+        es: { multiplication: '×', division: ':', decimalSeparator: ',' }
+    },
+
+    // State
+    language: 'en',
+
+    /**
+     * Choose the saved language (or the browser's) and translate the page
+     */
+    init: function() {
+        this.language = this.loadLanguage() || this.detectLanguage();
+        document.getElementById('language-select').value = this.language;
+        this.translatePage();
+    },
+
+    /**
+     * Load the saved language
+     * @returns {string|null} - Language code, or null if none is saved
+     */
+    loadLanguage: function() {
+        try {
+            const language = localStorage.getItem(this.STORAGE_KEY);
+            return Translations[language] ? language : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Pick the first of the browser's languages that has a bundle
+     * @returns {string} - Language code
+     */
+    detectLanguage: function() {
+        const preferred = navigator.languages || [navigator.language];
+        const match = preferred
+            .map(code => String(code).toLowerCase().split('-')[0])
+            .find(code => Translations[code]);
+        return match || this.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Switch language, save the choice and translate the page
+     * @param {string} language - Language code
+     */
+    setLanguage: function(language) {
+        this.language = Translations[language] ? language : this.DEFAULT_LANGUAGE;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, this.language);
+        } catch (error) {
+            // Storage full or unavailable - the language lasts until the page is closed
+        }
+        this.translatePage();
+    },
+
+    /**
+     * Get a translated string
+     * Falls back to English, then to the key itself, if a string is missing
+     * @param {string} key - String key (e.g. 'game.correct')
+     * @param {Object} params - Values for {placeholders} in the string (optional)
+     * @returns {string} - Translated text
+     */
+    t: function(key, params = {}) {
+        const bundle = Translations[this.language] || {};
+        const text = key in bundle ? bundle[key] : Translations[this.DEFAULT_LANGUAGE][key];
+        if (text === undefined) {
+            return key;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Get a translated string that depends on a count ("1 star", "2 stars")
+     * Uses the key with '.one' or '.other' added, following the language's plural rules
+     * @param {string} key - String key without the plural suffix
+     * @param {number} count - Count (also available as {count})
+     * @param {Object} params - Other placeholder values (optional)
+     * @returns {string} - Translated text
+     */
+    plural: function(key, count, params = {}) {
+        const form = typeof Intl !== 'undefined' && Intl.PluralRules
+            ? new Intl.PluralRules(this.language).select(count)
+            : (count === 1 ? 'one' : 'other');
+        return this.t(`${key}.${form === 'one' ? 'one' : 'other'}`, { ...params, count });
+    },
+
+    /**
+     * Get the maths notation for the current language
+     * @returns {Object} - { multiplication, division, decimalSeparator }
+     */
+    getNotation: function() {
+        return this.NOTATION[this.language] || this.NOTATION[this.DEFAULT_LANGUAGE];
+    },
+
+    /**
+     * Write the decimal numbers in some text with the current language's separator (2.5 → 2,5)
+     * @param {string|number} text - Text with numbers written with a decimal point
+     * @returns {string} - Text for display
+     */
+    formatNumbers: function(text) {
+        const separator = this.getNotation().decimalSeparator;
+        return String(text).replace(/(\d)\.(\d)/g, `$1${separator}$2`);
+    },
+
+    /**
+     * Turn typed decimal commas into decimal points so answers can be checked
+     * Either separator is accepted whatever the language, as a comma can't mean anything else in an answer
+     * @param {string} text - Typed answer
+     * @returns {string} - Answer with decimal points
+     */
+    normaliseNumbers: function(text) {
+        return String(text).replace(/,/g, '.');
+    },
+
+    /**
+     * Translate every marked element on the page
+     * data-i18n sets the text, data-i18n-label the aria-label and data-i18n-placeholder the placeholder
+     */
+    translatePage: function() {
+        document.documentElement.lang = this.language;
+        document.title = this.t('app.title');
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+    }
+};
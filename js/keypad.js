@@ -0,0 +1,149 @@
+/**
+ * On-screen number keypad for Mira Maths
+ * Used instead of the device keyboard, which covers the question on tablets
+ */
+
+import { I18n } from './i18n.js';
+
+export const Keypad = {
+    // Keys in reading order; the extra key (e.g. "/" for fractions) sits next to backspace
+    // The decimal point key shows and types the current language's separator
+    KEYS: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '-', '0', '.'],
+    BACKSPACE: '⌫',
+
+    // State
+    element: null,
+    target: null,
+    extraKeyButton: null,
+    onSubmit: null,
+
+    /**
+     * Check whether the keypad should be shown
+     * @param {string} mode - 'auto' (touch screens only), 'on' or 'off'
+     * @returns {boolean} - True to show the keypad
+     */
+    isEnabled: function(mode) {
+        if (mode === 'on' || mode === 'off') {
+            return mode === 'on';
+        }
+        return Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+    },
+
+    /**
+     * Build the keypad in a container
+     * @param {HTMLElement} element - Keypad container
+     * @param {Object} options - { submitLabel, onSubmit } where onSubmit receives the target field
+     */
+    render: function(element, options) {
+        this.element = element;
+        this.onSubmit = options.onSubmit;
+        this.target = null;
+        element.innerHTML = '';
+
+        // Keep focus (and the caret) in the answer field when a key is tapped
+        element.onpointerdown = (e) => e.preventDefault();
+        element.onmousedown = (e) => e.preventDefault();
+
+        this.KEYS.forEach(key => {
+            const text = key === '.' ? I18n.getNotation().decimalSeparator : key;
+            element.appendChild(this.createKey(text, key === '-' ? I18n.t('keypad.minus') : text, () => this.press(text)));
+        });
+
+        element.appendChild(this.createKey(this.BACKSPACE, I18n.t('keypad.delete'), () => this.press(this.BACKSPACE), 'keypad-backspace'));
+
+        this.extraKeyButton = this.createKey('', '', () => this.press(this.extraKeyButton.dataset.key));
+        element.appendChild(this.extraKeyButton);
+        this.setExtraKey(null);
+
+        element.appendChild(this.createKey(options.submitLabel, options.submitLabel, () => this.submit(), 'keypad-submit'));
+    },
+
+    /**
+     * Create one keypad button
+     * @param {string} text - Button text
+     * @param {string} label - Name read by screen readers
+     * @param {Function} onPress - Called when the key is tapped
+     * @param {string} className - Extra class name (optional)
+     * @returns {HTMLElement} - Button element
+     */
+    createKey: function(text, label, onPress, className = '') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `keypad-key ${className}`.trim();
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.onclick = onPress;
+        return button;
+    },
+
+    /**
+     * Show a key for the current question type, or hide it
+     * @param {string|null} key - '/' for fractions, 'r' for remainders, or null
+     */
+    setExtraKey: function(key) {
+        if (!this.extraKeyButton) {
+            return;
+        }
+        this.extraKeyButton.dataset.key = key === 'r' ? ' r ' : key || '';
+        this.extraKeyButton.textContent = key || '';
+        this.extraKeyButton.setAttribute('aria-label', I18n.t(key === 'r' ? 'keypad.remainder' : 'keypad.over'));
+        this.extraKeyButton.style.visibility = key ? 'visible' : 'hidden';
+    },
+
+    /**
+     * Get the extra key a question needs
+     * @param {Object} question - Question object
+     * @param {boolean} hasRemainderBox - True if the remainder has its own field (timed mode)
+     * @returns {string|null} - '/', 'r' or null
+     */
+    getExtraKey: function(question, hasRemainderBox) {
+        if (question.answerType === 'fraction') {
+            return '/';
+        }
+        if (question.answerType === 'remainder' && !hasRemainderBox) {
+            return 'r';
+        }
+        return null;
+    },
+
+    /**
+     * Set the answer field the keys type into
+     * @param {HTMLInputElement|null} input - Answer field
+     */
+    setTarget: function(input) {
+        this.target = input;
+    },
+
+    /**
+     * Type a key into the target field
+     * Fires an input event so auto-submit and response timing work as with a keyboard
+     * @param {string} key - Key text
+     */
+    press: function(key) {
+        const input = this.target;
+        if (!input) {
+            return;
+        }
+
+        if (key === this.BACKSPACE) {
+            input.value = input.value.slice(0, -1);
+        } else if (key === '-') {
+            // Minus only makes sense at the start, so it toggles the sign
+            input.value = input.value.startsWith('-') ? input.value.slice(1) : `-${input.value}`;
+        } else {
+            input.value += key;
+        }
+
+        input.focus();
+        input.dispatchEvent(new Event('input'));
+    },
+
+    /**
+     * Submit the target field
+     */
+    submit: function() {
+        if (this.target && this.onSubmit) {
+            this.onSubmit(this.target);
+        }
+    }
+};
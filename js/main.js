@@ -2,6 +2,21 @@
  * Main application entry point for Mira Maths
  */
 
+import { I18n } from "./i18n.js";
+import { Settings } from "./settings.js";
+import { Utils } from "./utils.js";
+import { ProgressStore } from "./progressStore.js";
+import { Mistakes } from "./mistakes.js";
+import { QuestionGenerator } from "./questionGenerator.js";
+import { QuestionPool } from "./questionPool.js";
+import { Sound } from "./sound.js";
+import { Game } from "./game.js";
+import { Progress } from "./progress.js";
+import { FactGrid } from "./factGrid.js";
+import { Achievements } from "./achievements.js";
+import { Worksheet } from "./worksheet.js";
+import { DifficultyEditor } from "./difficultyEditor.js";
+
 document.addEventListener("DOMContentLoaded", () => {
     // Initialize the app
     initApp();
@@ -9,17 +24,38 @@ document.addEventListener("DOMContentLoaded", () => {
     // Handle custom input fields
     setupCustomInputs();
 
+    // Warn when the settings allow fewer different questions than asked for
+    setupPoolWarning();
+
     // Setup event listeners
     setupEventListeners();
 
     // Setup beforeunload warning
     setupBeforeUnloadWarning();
+
+    // Pause when the page is hidden or loses focus
+    setupAutoPause();
+
+    // Work offline and offer updates
+    setupServiceWorker();
 });
 
 /**
  * Initialize the app with default values
  */
 function initApp() {
+    // Fill in the seed from the URL (e.g. ?seed=ABC123)
+    const seed = new URLSearchParams(window.location.search).get("seed");
+    if (seed) {
+        document.getElementById("seed-input").value = seed.trim().toUpperCase();
+    }
+
+    // Translate the page into the saved or browser language
+    I18n.init();
+
+    // Load sound preferences
+    Sound.init();
+
     // Set default screen
     Utils.showScreen("settings-screen");
 }
@@ -65,6 +101,32 @@ function setupCustomInputs() {
     });
 }
 
+/**
+ * Keep the warning about too few different questions up to date as the settings change
+ */
+function setupPoolWarning() {
+    const settingsScreen = document.getElementById("settings-screen");
+    settingsScreen.addEventListener("change", updatePoolWarning);
+    settingsScreen.addEventListener("input", updatePoolWarning);
+    updatePoolWarning();
+}
+
+/**
+ * Show the warning when the question count is more than the different questions available
+ * (quiz and worksheet sets are then shortened, or repeat questions if repeats are allowed)
+ * Sprints and survival have no question count, so the warning names the modes it is about
+ */
+function updatePoolWarning() {
+    const settings = Settings.readForm();
+    const warning = document.getElementById("pool-warning");
+    const available = settings.operations.length > 0 ? QuestionPool.countUnique(settings) : Infinity;
+
+    warning.hidden = available >= settings.questionCount || available === 0;
+    if (!warning.hidden) {
+        warning.textContent = I18n.plural(settings.allowRepeats ? "settings.poolRepeats" : "settings.poolWarning", available);
+    }
+}
+
 /**
  * Setup event listeners for buttons and user interactions
  */
@@ -73,12 +135,12 @@ function setupEventListeners() {
     document.getElementById("start-timed").addEventListener("click", () => {
         try {
             // Get settings from form
-            const settings = Utils.getSettings();
+            const settings = Settings.readForm();
             settings.practiceMode = "timed";
 
             // Validate settings
             if (settings.operations.length === 0) {
-                alert("Please select at least one operation.");
+                alert(I18n.t("errors.noOperations"));
                 return;
             }
 
@@ -90,17 +152,56 @@ function setupEventListeners() {
     });
 
     // Start worksheet mode button
-    /*
-    document.getElementById('start-worksheet').addEventListener('click', () => {
+    document.getElementById("start-worksheet").addEventListener("click", () => {
         try {
             // Get settings from form
-            const settings = Utils.getSettings();
-            settings.practiceMode = 'all-at-once';
+            const settings = Settings.readForm();
+            settings.practiceMode = "all-at-once";
             settings.debugMode = false;
 
             // Validate settings
             if (settings.operations.length === 0) {
-                alert('Please select at least one operation.');
+                alert(I18n.t("errors.noOperations"));
+                return;
+            }
+
+            // Initialize and start the game
+            Game.init(settings);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    // Start sprint mode button
+    document.getElementById("start-sprint").addEventListener("click", () => {
+        try {
+            // Get settings from form
+            const settings = Settings.readForm();
+            settings.practiceMode = "sprint";
+
+            // Validate settings
+            if (settings.operations.length === 0) {
+                alert(I18n.t("errors.noOperations"));
+                return;
+            }
+
+            // Initialize and start the game
+            Game.init(settings);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    // Start survival mode button
+    document.getElementById("start-survival").addEventListener("click", () => {
+        try {
+            // Get settings from form
+            const settings = Settings.readForm();
+            settings.practiceMode = "survival";
+
+            // Validate settings
+            if (settings.operations.length === 0) {
+                alert(I18n.t("errors.noOperations"));
                 return;
             }
 
@@ -110,19 +211,43 @@ function setupEventListeners() {
             alert(error.message);
         }
     });
-    */
+
+    // Print worksheet button
+    document.getElementById("print-worksheet").addEventListener("click", () => {
+        try {
+            // Get settings from form
+            const settings = Settings.readForm();
+
+            // Validate settings
+            if (settings.operations.length === 0) {
+                alert(I18n.t("errors.noOperations"));
+                return;
+            }
+
+            // Generate a set and print it
+            const questions = QuestionGenerator.generateSeededQuestions(settings);
+            Worksheet.print(questions, settings, Worksheet.getPrintOptions());
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    // Print the worksheet currently on screen
+    document.getElementById("print-current-worksheet").addEventListener("click", () => {
+        Worksheet.print(Game.getRoundQuestions(), Game.settings, Worksheet.getPrintOptions());
+    });
 
     // Start debug mode button
     document.getElementById("start-debug").addEventListener("click", () => {
         try {
             // Get settings from form
-            const settings = Utils.getSettings();
+            const settings = Settings.readForm();
             settings.practiceMode = "all-at-once";
             settings.debugMode = true;
 
             // Validate settings
             if (settings.operations.length === 0) {
-                alert("Please select at least one operation.");
+                alert(I18n.t("errors.noOperations"));
                 return;
             }
 
@@ -137,7 +262,7 @@ function setupEventListeners() {
     document.getElementById("retry-game").addEventListener("click", () => {
         try {
             // Get the same settings and start a new game with the same mode
-            const settings = Utils.getSettings();
+            const settings = Settings.readForm();
             // Use the last used mode (timed or all-at-once)
             settings.practiceMode = Game.lastUsedMode || "timed";
             // Preserve debugMode if it was used
@@ -148,22 +273,149 @@ function setupEventListeners() {
         }
     });
 
+    // Practise mistakes buttons (timed or worksheet)
+    [["practise-mistakes-timed", "timed"], ["practise-mistakes-worksheet", "all-at-once"]].forEach(([id, mode]) => {
+        document.getElementById(id).addEventListener("click", () => {
+            const includeVariants = document.getElementById("mistakes-variants").checked;
+            const questions = Mistakes.buildRound(Mistakes.getMissed(Game.session.questions), includeVariants);
+            Game.init({ ...Game.settings, practiceMode: mode, debugMode: false, mistakesRound: true }, questions);
+        });
+    });
+
     // New game button (change settings)
     document.getElementById("new-game").addEventListener("click", () => {
         Utils.showScreen("settings-screen");
     });
 
+    // Pause and resume buttons
+    document.getElementById("pause-game").addEventListener("click", () => {
+        Game.pause();
+    });
+
+    document.getElementById("resume-game").addEventListener("click", () => {
+        Game.resume();
+    });
+
     // Back button from quiz screen
     document.getElementById("back-from-quiz").addEventListener("click", () => {
+        Game.quit();
+        Utils.showScreen("settings-screen");
+    });
+
+    // My Progress button
+    document.getElementById("show-progress").addEventListener("click", () => {
+        Progress.show();
+    });
+
+    // Fact Grid button
+    document.getElementById("show-facts").addEventListener("click", () => {
+        FactGrid.show();
+    });
+
+    // Language picker
+    document.getElementById("language-select").addEventListener("change", (e) => {
+        I18n.setLanguage(e.target.value);
+    });
+
+    // Badge cabinet
+    document.getElementById("show-badges").addEventListener("click", () => {
+        Achievements.showCabinet();
+    });
+
+    // Back button from badge cabinet
+    document.getElementById("back-from-badges").addEventListener("click", () => {
         Utils.showScreen("settings-screen");
     });
 
+    // Difficulty rules screen
+    document.getElementById("show-rules").addEventListener("click", () => {
+        DifficultyEditor.show();
+    });
+
+    document.getElementById("back-from-rules").addEventListener("click", () => {
+        Utils.showScreen("settings-screen");
+    });
+
+    document.getElementById("add-rule").addEventListener("click", () => {
+        DifficultyEditor.addRule();
+    });
+
+    document.getElementById("preview-rules").addEventListener("click", () => {
+        DifficultyEditor.preview();
+    });
+
+    document.getElementById("save-rules").addEventListener("click", () => {
+        DifficultyEditor.save();
+    });
+
+    document.getElementById("reset-rules").addEventListener("click", () => {
+        DifficultyEditor.reset();
+    });
+
+    document.getElementById("export-rules").addEventListener("click", () => {
+        DifficultyEditor.exportFile();
+    });
+
+    // Import opens the file picker; the chosen file is read into the screen
+    const importInput = document.getElementById("import-rules-file");
+    document.getElementById("import-rules").addEventListener("click", () => {
+        importInput.click();
+    });
+
+    importInput.addEventListener("change", () => {
+        if (importInput.files.length > 0) {
+            DifficultyEditor.importFile(importInput.files[0]);
+        }
+        importInput.value = "";
+    });
+
+    // Back button from fact grid screen
+    document.getElementById("back-from-facts").addEventListener("click", () => {
+        Utils.showScreen("settings-screen");
+    });
+
+    // Fact grid options
+    ["facts-operation", "facts-merge"].forEach((id) => {
+        document.getElementById(id).addEventListener("change", () => {
+            FactGrid.render();
+        });
+    });
+
+    // Back button from progress screen
+    document.getElementById("back-from-progress").addEventListener("click", () => {
+        Utils.showScreen("settings-screen");
+    });
+
+    // Progress filters
+    ["progress-operation", "progress-max-number", "progress-period"].forEach((id) => {
+        document.getElementById(id).addEventListener("change", () => {
+            Progress.render();
+        });
+    });
+
+    // Clear history button
+    document.getElementById("clear-progress").addEventListener("click", () => {
+        if (confirm(I18n.t("progress.confirmClear"))) {
+            ProgressStore.clear();
+            Progress.show();
+        }
+    });
+
     // Back button from worksheet screen
-    /*
-    document.getElementById('back-from-worksheet').addEventListener('click', () => {
-        Utils.showScreen('settings-screen');
+    document.getElementById("back-from-worksheet").addEventListener("click", () => {
+        Game.quit();
+        Utils.showScreen("settings-screen");
+    });
+
+    // Sound settings (play a sample so the volume can be heard)
+    document.getElementById("sound-volume").addEventListener("change", (e) => {
+        Sound.setVolume(e.target.value / 100);
+        Sound.play("correct");
+    });
+
+    document.getElementById("sound-mute").addEventListener("change", (e) => {
+        Sound.setMuted(e.target.checked);
     });
-    */
 
     // Prevent form submission
     document.querySelectorAll("form").forEach((form) => {
@@ -186,3 +438,80 @@ function setupBeforeUnloadWarning() {
         }
     });
 }
+
+/**
+ * Pause a timed game when switching tabs or apps, so questions don't run out unseen
+ */
+function setupAutoPause() {
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) {
+            Game.pause();
+        }
+    });
+
+    window.addEventListener("blur", () => {
+        Game.pause();
+    });
+}
+
+// Set when the update button is pressed, so the first install doesn't reload the page
+let updateRequested = false;
+
+/**
+ * Register the service worker that keeps the app working offline,
+ * and show the update banner when a new version has been downloaded
+ */
+function setupServiceWorker() {
+    // Service workers need http(s), so there is no offline copy when opened as a file
+    if (!("serviceWorker" in navigator) || window.location.protocol === "file:") {
+        return;
+    }
+
+    navigator.serviceWorker.register("sw.js").then((registration) => {
+        // A new version downloaded on an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+
+        registration.addEventListener("updatefound", () => {
+            const worker = registration.installing;
+            worker.addEventListener("statechange", () => {
+                // With no controller this is the first install, not an update
+                if (worker.state === "installed" && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+
+        // The app may stay open for days on a tablet, so check again when it comes back
+        document.addEventListener("visibilitychange", () => {
+            if (!document.hidden) {
+                registration.update().catch(() => {
+                    // Offline - try again next time
+                });
+            }
+        });
+    }).catch(() => {
+        // Registration failed (e.g. private browsing) - the app still works online
+    });
+
+    // Reload once the new version has taken over
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (updateRequested) {
+            updateRequested = false;
+            window.location.reload();
+        }
+    });
+}
+
+/**
+ * Offer to switch to a downloaded version
+ * @param {ServiceWorker} worker - Installed worker waiting to take over
+ */
+function showUpdateBanner(worker) {
+    document.getElementById("update-banner").hidden = false;
+    document.getElementById("update-reload").onclick = () => {
+        updateRequested = true;
+        worker.postMessage({ type: "SKIP_WAITING" });
+    };
+}
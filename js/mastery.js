@@ -0,0 +1,147 @@
+/**
+ * Per-fact mastery tracking for Mira Maths
+ */
+
+import { Utils } from './utils.js';
+import { QuestionGenerator } from './questionGenerator.js';
+
+export const Mastery = {
+    // Constants
+    STORAGE_KEY: 'miraMaths.mastery',
+    RECENT_MAX: 5,          // Number of recent results kept per fact
+    FLUENT_SECONDS: 3,      // Average answer time considered fluent
+    KNOWN_WEIGHT: 0.1,      // Minimum selection weight so known facts still appear
+
+    /**
+     * Load all tracked facts
+     * @returns {Object} - Facts keyed by QuestionGenerator.getFactKey
+     */
+    loadFacts: function() {
+        try {
+            const facts = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return facts && typeof facts === 'object' ? facts : {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    /**
+     * Save tracked facts
+     * @param {Object} facts - Facts keyed by QuestionGenerator.getFactKey
+     */
+    saveFacts: function(facts) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(facts));
+        } catch (error) {
+            // Storage full or unavailable - mastery is not updated
+        }
+    },
+
+    /**
+     * Update fact statistics with the results of a finished game
+     * @param {Array} questions - Answered question objects
+     */
+    recordQuestions: function(questions) {
+        const facts = this.loadFacts();
+        const now = new Date().toISOString();
+
+        questions.forEach(question => {
+            // Only whole-number facts and divisions with remainders are tracked (not expressions or fractions)
+            if (!QuestionGenerator.isWholeNumberFact(question) && question.answerType !== 'remainder') {
+                return;
+            }
+
+            const key = QuestionGenerator.getFactKey(question);
+
+            if (!facts[key]) {
+                facts[key] = {
+                    operation: question.operation,
+                    num1: question.num1,
+                    num2: question.num2,
+                    attempts: 0,
+                    correct: 0,
+                    timedAttempts: 0,
+                    totalTime: 0,
+                    recent: []
+                };
+            }
+
+            const fact = facts[key];
+            fact.attempts++;
+            if (question.isCorrect) {
+                fact.correct++;
+            }
+
+            // Only answered questions from timed play say anything about speed
+            if (question.userAnswer !== null && question.timeElapsed > 0) {
+                fact.timedAttempts++;
+                fact.totalTime += question.timeElapsed;
+            }
+
+            fact.recent.push(question.isCorrect === true);
+            if (fact.recent.length > this.RECENT_MAX) {
+                fact.recent.shift();
+            }
+            fact.lastSeen = now;
+        });
+
+        this.saveFacts(facts);
+    },
+
+    /**
+     * Get how weak a fact is, combining accuracy and speed
+     * @param {Object} fact - Tracked fact
+     * @returns {number} - Weakness from 0 (mastered) to 1 (unknown)
+     */
+    getWeakness: function(fact) {
+        // Smoothed accuracy so a single answer doesn't dominate
+        const overallAccuracy = (fact.correct + 1) / (fact.attempts + 2);
+        const recentAccuracy = fact.recent.length > 0
+            ? fact.recent.filter(Boolean).length / fact.recent.length
+            : overallAccuracy;
+        const accuracy = (overallAccuracy + recentAccuracy) / 2;
+
+        // Slowness grows from 0 at fluent speed to 1 at three times fluent speed
+        let slowness = 0;
+        if (fact.timedAttempts > 0) {
+            const averageTime = fact.totalTime / fact.timedAttempts;
+            slowness = Math.min(1, Math.max(0, (averageTime - this.FLUENT_SECONDS) / (this.FLUENT_SECONDS * 2)));
+        }
+
+        return (1 - accuracy) * 0.7 + slowness * 0.3;
+    },
+
+    /**
+     * Pick a tracked fact that fits the settings, weighted toward weak facts
+     * @param {Object} facts - Facts from loadFacts
+     * @param {Object} settings - Game settings
+     * @returns {Object|null} - Question object for the fact, or null if none are tracked
+     */
+    pickQuestion: function(facts, settings) {
+        const candidates = Object.values(facts).filter(fact =>
+            settings.operations.includes(fact.operation) &&
+            QuestionGenerator.fitsSettings(fact, settings)
+        );
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const weights = candidates.map(fact => this.KNOWN_WEIGHT + this.getWeakness(fact));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+        // Roulette-wheel selection
+        let rand = Utils.random() * totalWeight;
+        let index = 0;
+        while (index < candidates.length - 1 && rand >= weights[index]) {
+            rand -= weights[index];
+            index++;
+        }
+
+        const fact = candidates[index];
+        if (fact.operation === 'division' && settings.divisionRemainders) {
+            return QuestionGenerator.createRemainderQuestion(fact.num1, fact.num2);
+        }
+        return QuestionGenerator.createQuestion(fact.operation, fact.num1, fact.num2);
+    }
+};
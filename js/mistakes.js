@@ -0,0 +1,108 @@
+/**
+ * "Practise mistakes" rounds for Mira Maths
+ */
+
+import { Utils } from './utils.js';
+import { QuestionGenerator } from './questionGenerator.js';
+
+export const Mistakes = {
+    /**
+     * Get the questions that were missed in a game
+     * A question counts as missed if its last attempt was wrong or unanswered,
+     * so a finished mistakes round has nothing left to practise
+     * @param {Array} questions - Answered question objects
+     * @returns {Array} - Missed questions, one per question
+     */
+    getMissed: function(questions) {
+        const lastAttempts = new Map();
+        questions.forEach(question => {
+            lastAttempts.set(this.getQuestionKey(question), question);
+        });
+        return [...lastAttempts.values()].filter(question => !question.isCorrect);
+    },
+
+    /**
+     * Get a key identifying a question exactly as it was shown
+     * Unlike QuestionGenerator.getFactKey, missing number questions are kept apart from the plain fact
+     * @param {Object} question - Question object
+     * @returns {string} - Question key
+     */
+    getQuestionKey: function(question) {
+        return `${question.operation}:${QuestionGenerator.formatQuestion(question)}`;
+    },
+
+    /**
+     * Build the questions for a mistakes round
+     * @param {Array} missed - Missed questions from getMissed
+     * @param {boolean} includeVariants - True to add a close variant of each missed fact (7 × 8 → 8 × 7, 56 ÷ 7)
+     * @returns {Array} - Fresh, shuffled question objects
+     */
+    buildRound: function(missed, includeVariants) {
+        const questions = missed.map(question => this.resetQuestion(question));
+
+        if (includeVariants) {
+            const keys = new Set(questions.map(question => this.getQuestionKey(question)));
+            missed.forEach(question => {
+                const variants = this.getVariants(question).filter(variant => !keys.has(this.getQuestionKey(variant)));
+                if (variants.length > 0) {
+                    const variant = variants[Math.floor(Utils.random() * variants.length)];
+                    keys.add(this.getQuestionKey(variant));
+                    questions.push(variant);
+                }
+            });
+        }
+
+        return Utils.shuffleArray(questions);
+    },
+
+    /**
+     * Copy a question with its answer cleared, ready to be asked again
+     * @param {Object} question - Question object
+     * @returns {Object} - New question object
+     */
+    resetQuestion: function(question) {
+        return {
+            ...question,
+            userAnswer: null,
+            isCorrect: null,
+            timeElapsed: 0,
+            firstKeyMs: null,
+            responseMs: null
+        };
+    },
+
+    /**
+     * Get the close variants of a whole number fact: the same numbers swapped
+     * round, or the inverse operation (7 × 8 = 56 gives 8 × 7, 56 ÷ 7 and 56 ÷ 8)
+     * @param {Object} question - Question object
+     * @returns {Array} - Variant question objects (empty for other question types)
+     */
+    getVariants: function(question) {
+        if (!QuestionGenerator.isWholeNumberFact(question)) {
+            return [];
+        }
+
+        const { num1, num2, result } = question;
+        const variants = [];
+
+        switch(question.operation) {
+            case 'addition':
+                variants.push(['addition', num2, num1], ['subtraction', result, num1], ['subtraction', result, num2]);
+                break;
+            case 'subtraction':
+                variants.push(['subtraction', num1, result], ['addition', num2, result]);
+                break;
+            case 'multiplication':
+                variants.push(['multiplication', num2, num1], ['division', result, num1], ['division', result, num2]);
+                break;
+            case 'division':
+                variants.push(['division', num1, result], ['multiplication', num2, result]);
+                break;
+        }
+
+        return variants
+            .filter(([operation, , divisor]) => operation !== 'division' || divisor !== 0)
+            .map(([operation, a, b]) => QuestionGenerator.createQuestion(operation, a, b))
+            .filter(variant => this.getQuestionKey(variant) !== this.getQuestionKey(question));
+    }
+};
@@ -0,0 +1,229 @@
+/**
+ * Progress dashboard for Mira Maths
+ */
+
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+import { ProgressStore } from './progressStore.js';
+import { Session } from './session.js';
+
+export const Progress = {
+    // Constants
+    MAX_BARS: 14,
+
+    /**
+     * Show the progress screen
+     */
+    show: function() {
+        this.populateMaxNumberFilter();
+        this.render();
+        Utils.showScreen('progress-screen');
+    },
+
+    /**
+     * Fill the maximum number filter with the values found in the history
+     */
+    populateMaxNumberFilter: function() {
+        const select = document.getElementById('progress-max-number');
+        const previousValue = select.value;
+        const maxNumbers = [...new Set(ProgressStore.loadSessions().map(s => s.settings.maxNumber))]
+            .sort((a, b) => a - b);
+
+        select.innerHTML = '';
+
+        const allOption = document.createElement('option');
+        allOption.value = 'all';
+        allOption.textContent = I18n.t('common.all');
+        select.appendChild(allOption);
+
+        maxNumbers.forEach(maxNumber => {
+            const option = document.createElement('option');
+            option.value = maxNumber;
+            option.textContent = maxNumber;
+            select.appendChild(option);
+        });
+
+        // Keep the previous choice if it still exists
+        select.value = maxNumbers.includes(parseInt(previousValue)) ? previousValue : 'all';
+    },
+
+    /**
+     * Get the current filter values from the progress screen
+     * @returns {Object} - Filters (operation, maxNumber, period)
+     */
+    getFilters: function() {
+        const operation = document.getElementById('progress-operation').value;
+        const maxNumber = document.getElementById('progress-max-number').value;
+        const period = document.getElementById('progress-period').value;
+
+        return {
+            operation: operation === 'all' ? null : operation,
+            maxNumber: maxNumber === 'all' ? null : parseInt(maxNumber),
+            period
+        };
+    },
+
+    /**
+     * Render all charts using the current filters
+     */
+    render: function() {
+        const filters = this.getFilters();
+        const buckets = this.getBuckets(ProgressStore.loadSessions(), filters).slice(-this.MAX_BARS);
+
+        const chartsContainer = document.getElementById('progress-charts');
+        const emptyMessage = document.getElementById('progress-empty');
+        chartsContainer.innerHTML = '';
+
+        if (buckets.length === 0) {
+            emptyMessage.style.display = 'block';
+            return;
+        }
+        emptyMessage.style.display = 'none';
+
+        chartsContainer.appendChild(this.createChart(I18n.t('progress.score'), buckets.map(b => ({
+            label: b.label,
+            value: b.percentage
+        })), 100, value => `${Math.round(value)}%`));
+
+        chartsContainer.appendChild(this.createChart(I18n.t('progress.stars'), buckets.map(b => ({
+            label: b.label,
+            value: b.stars
+        })), 3, value => I18n.formatNumbers(value.toFixed(1))));
+
+        const times = buckets.map(b => b.averageTime).filter(t => t !== null);
+        chartsContainer.appendChild(this.createChart(I18n.t('progress.averageTime'), buckets.map(b => ({
+            label: b.label,
+            value: b.averageTime
+        })), Math.max(1, ...times), value => I18n.formatNumbers(`${value.toFixed(1)}s`)));
+    },
+
+    /**
+     * Group sessions into day or week buckets and average their results
+     * @param {Array} sessions - Session records, oldest first
+     * @param {Object} filters - Filters from getFilters
+     * @returns {Array} - Buckets with label, percentage, stars and averageTime
+     */
+    getBuckets: function(sessions, filters) {
+        const buckets = new Map();
+
+        sessions.forEach(session => {
+            if (filters.maxNumber !== null && session.settings.maxNumber !== filters.maxNumber) {
+                return;
+            }
+
+            // Only look at the questions for the selected operation
+            const questions = filters.operation
+                ? session.questions.filter(q => q.operation === filters.operation)
+                : session.questions;
+
+            if (questions.length === 0) {
+                return;
+            }
+
+            const startDate = this.getBucketStart(new Date(session.date), filters.period);
+            const key = startDate.getTime();
+
+            if (!buckets.has(key)) {
+                buckets.set(key, { startDate, percentages: [], stars: [], times: [] });
+            }
+
+            const bucket = buckets.get(key);
+            const percentage = (questions.filter(q => q.isCorrect).length / questions.length) * 100;
+            bucket.percentages.push(percentage);
+
+            // Stars for the selected operation are rated the same way as a whole game
+            bucket.stars.push(filters.operation ? Session.getStarCount(percentage) : session.stars);
+
+            const averageTime = ProgressStore.getAverageTime(questions);
+            if (averageTime !== null) {
+                bucket.times.push(averageTime);
+            }
+        });
+
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        return [...buckets.values()]
+            .sort((a, b) => a.startDate - b.startDate)
+            .map(bucket => ({
+                label: this.formatBucketLabel(bucket.startDate, filters.period),
+                percentage: average(bucket.percentages),
+                stars: average(bucket.stars),
+                averageTime: bucket.times.length > 0 ? average(bucket.times) : null
+            }));
+    },
+
+    /**
+     * Get the start of the day or week (Monday) containing a date
+     * @param {Date} date - Session date
+     * @param {string} period - 'day' or 'week'
+     * @returns {Date} - Start of the bucket in local time
+     */
+    getBucketStart: function(date, period) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (period === 'week') {
+            const daysSinceMonday = (start.getDay() + 6) % 7;
+            start.setDate(start.getDate() - daysSinceMonday);
+        }
+        return start;
+    },
+
+    /**
+     * Format a bucket start date for a chart label
+     * @param {Date} date - Start of the bucket
+     * @param {string} period - 'day' or 'week'
+     * @returns {string} - Label text
+     */
+    formatBucketLabel: function(date, period) {
+        const label = date.toLocaleDateString(I18n.language, { day: 'numeric', month: 'short' });
+        return period === 'week' ? I18n.t('progress.weekOf', { date: label }) : label;
+    },
+
+    /**
+     * Create a bar chart element
+     * @param {string} title - Chart title
+     * @param {Array} points - Array of { label, value } (value may be null)
+     * @param {number} maxValue - Value of a full-height bar
+     * @param {Function} formatValue - Formats a value for its bar label
+     * @returns {HTMLElement} - Chart element
+     */
+    createChart: function(title, points, maxValue, formatValue) {
+        const chart = document.createElement('div');
+        chart.className = 'progress-chart';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        chart.appendChild(heading);
+
+        const bars = document.createElement('div');
+        bars.className = 'chart-bars';
+
+        points.forEach(point => {
+            const column = document.createElement('div');
+            column.className = 'chart-column';
+
+            const value = document.createElement('span');
+            value.className = 'chart-value';
+            value.textContent = point.value === null ? '–' : formatValue(point.value);
+
+            const track = document.createElement('div');
+            track.className = 'chart-track';
+
+            const bar = document.createElement('div');
+            bar.className = 'chart-bar';
+            bar.style.height = point.value === null ? '0%' : `${Math.min(100, (point.value / maxValue) * 100)}%`;
+            track.appendChild(bar);
+
+            const label = document.createElement('span');
+            label.className = 'chart-label';
+            label.textContent = point.label;
+
+            column.appendChild(value);
+            column.appendChild(track);
+            column.appendChild(label);
+            bars.appendChild(column);
+        });
+
+        chart.appendChild(bars);
+        return chart;
+    }
+};
@@ -0,0 +1,173 @@
+/**
+ * Practice history storage for Mira Maths
+ */
+
+export const ProgressStore = {
+    // Constants
+    STORAGE_KEY: 'miraMaths.history',
+    MAX_SESSIONS: 1000,
+    QUOTA_TRIM_SHARE: 0.1,  // Share of the oldest sessions dropped at a time when storage is full
+    BESTS_KEY: 'miraMaths.bests',
+
+    /**
+     * Load all saved sessions, oldest first
+     * @returns {Array} - Array of session records
+     */
+    loadSessions: function() {
+        try {
+            const sessions = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(sessions) ? sessions : [];
+        } catch (error) {
+            // Storage unavailable or corrupted - behave as if there is no history
+            return [];
+        }
+    },
+
+    /**
+     * Save a finished session
+     * @param {Object} session - Session record from createSessionRecord
+     */
+    saveSession: function(session) {
+        const sessions = this.loadSessions();
+        sessions.push(session);
+
+        // Drop the oldest sessions once the limit is reached
+        while (sessions.length > this.MAX_SESSIONS) {
+            sessions.shift();
+        }
+
+        // When storage is full (it is shared with mastery, badges and bests), drop the
+        // oldest sessions until the new one fits, so history doesn't stop for good
+        while (sessions.length > 0) {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(sessions));
+                return;
+            } catch (error) {
+                if (!this.isQuotaError(error) || sessions.length === 1) {
+                    // Storage unavailable, or the session is too big on its own - it is not kept
+                    return;
+                }
+                sessions.splice(0, Math.max(1, Math.floor((sessions.length - 1) * this.QUOTA_TRIM_SHARE)));
+            }
+        }
+    },
+
+    /**
+     * Check whether a storage error means there is no room left
+     * @param {Error} error - Error thrown by localStorage.setItem
+     * @returns {boolean} - True for quota errors (named differently by some browsers)
+     */
+    isQuotaError: function(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22 || error.code === 1014);
+    },
+
+    /**
+     * Delete all saved sessions
+     */
+    clear: function() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+            localStorage.removeItem(this.BESTS_KEY);
+        } catch (error) {
+            // Nothing to clear
+        }
+    },
+
+    /**
+     * Build a session record from a finished game
+     * @param {Object} settings - Game settings
+     * @param {Array} questions - Answered question objects
+     * @param {number} stars - Star rating (0-3)
+     * @returns {Object} - Session record
+     */
+    createSessionRecord: function(settings, questions, stars) {
+        const correctCount = questions.filter(q => q.isCorrect).length;
+
+        return {
+            date: new Date().toISOString(),
+            settings: {
+                operations: [...settings.operations],
+                maxNumber: settings.maxNumber,
+                questionCount: settings.questionCount,
+                timePerQuestion: settings.timePerQuestion,
+                timerMode: settings.timerMode,
+                difficultyLevel: settings.difficultyLevel,
+                missingNumberPercent: settings.missingNumberPercent,
+                divisionRemainders: settings.divisionRemainders,
+                allowNegatives: settings.allowNegatives,
+                timesTables: settings.timesTables ? [...settings.timesTables] : [],
+                adaptive: settings.adaptive,
+                seed: settings.seed,
+                practiceMode: settings.practiceMode,
+                sprintSeconds: settings.practiceMode === 'sprint' ? settings.sprintSeconds : null,
+                mistakesRound: Boolean(settings.mistakesRound)
+            },
+            questions: questions.map(q => this.createQuestionRecord(q)),
+            score: correctCount,
+            total: questions.length,
+            percentage: questions.length > 0 ? (correctCount / questions.length) * 100 : 0,
+            stars
+        };
+    },
+
+    /**
+     * Keep only what the history needs from an answered question, so many sessions fit in storage
+     * @param {Object} question - Answered question object
+     * @returns {Object} - Question record (operation, numbers, missing number, answers and time)
+     */
+    createQuestionRecord: function(question) {
+        return {
+            operation: question.operation,
+            num1: question.num1,
+            num2: question.num2,
+            blank: question.blank,
+            answer: question.answer,
+            userAnswer: question.userAnswer,
+            isCorrect: question.isCorrect,
+            timeElapsed: question.timeElapsed
+        };
+    },
+
+    /**
+     * Get the average response time of answered questions
+     * @param {Array} questions - Question objects
+     * @returns {number|null} - Average time in seconds, or null if not timed
+     */
+    getAverageTime: function(questions) {
+        const timed = questions.filter(q => q.userAnswer !== null && q.timeElapsed > 0);
+        if (timed.length === 0) {
+            return null;
+        }
+
+        const total = timed.reduce((sum, q) => sum + q.timeElapsed, 0);
+        return total / timed.length;
+    },
+
+    /**
+     * Record a result and get the personal best it is compared with
+     * @param {string} key - What the best is for (e.g. "sprint:60:multiplication")
+     * @param {number} value - New result (higher is better)
+     * @returns {number|null} - Previous best, or null if there was none
+     */
+    updatePersonalBest: function(key, value) {
+        let bests = {};
+        try {
+            bests = JSON.parse(localStorage.getItem(this.BESTS_KEY)) || {};
+        } catch (error) {
+            // Unreadable - start again
+        }
+
+        const previous = typeof bests[key] === 'number' ? bests[key] : null;
+        if (previous === null || value > previous) {
+            bests[key] = value;
+            try {
+                localStorage.setItem(this.BESTS_KEY, JSON.stringify(bests));
+            } catch (error) {
+                // Storage full or unavailable - the best is not saved
+            }
+        }
+
+        return previous;
+    }
+};
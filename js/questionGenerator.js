@@ -2,152 +2,250 @@
  * Question generator module for Mira Maths
  */
 
-const QuestionGenerator = {
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+import { Mastery } from './mastery.js';
+import { Expressions } from './expressions.js';
+import { Fractions } from './fractions.js';
+import { Decimals } from './decimals.js';
+import { QuestionPool } from './questionPool.js';
+import { DifficultyRules } from './difficultyRules.js';
+
+export const QuestionGenerator = {
     // Constants
-    REPEAT_MAX: 20,
     DIFFICULTY_LEVELS: 5,
+    ADAPTIVE_SHARE: 0.6,   // Share of adaptive candidates drawn from tracked facts
+    BLANK: '□',            // Placeholder for the missing number
+    TABLE_LENGTH: 12,      // Chosen times tables go up to 12 × table
+
+    // Operations made of a single whole-number fact (num1 op num2), as opposed to
+    // expressions, fractions and decimals
+    FACT_OPERATIONS: ['addition', 'subtraction', 'multiplication', 'division'],
 
     // Question history to avoid repetition
     questionHistory: [],
+    usedKeys: new Set(),   // Fact keys asked so far
+
+    // Questions still to draw from (see questionPool.js)
+    pool: null,
 
     // Current difficulty setting (will be set during question generation)
     currentDifficulty: 1,
+
+    // Current game settings (will be set during question generation)
+    currentSettings: {},
+
+    // Tracked facts for adaptive mode (loaded when a session starts)
+    trackedFacts: null,
     
     /**
      * Select a target difficulty level based on the game difficulty setting
+     * The share of each level comes from the difficulty rules (see difficultyRules.js)
      * @param {number} difficultyLevel - Game difficulty level (1-5)
      * @returns {number} - Target question level (1-3)
      */
     selectTargetLevel: function(difficultyLevel) {
-        const rand = Math.random();
-
-        switch(difficultyLevel) {
-            case 1:
-                // 50% level 3, 30% level 2, 20% level 1
-                if (rand < 0.50) return 3;
-                if (rand < 0.80) return 2;
-                return 1;
-
-            case 2:
-                // 60% level 3, 30% level 2, 10% level 1
-                if (rand < 0.60) return 3;
-                if (rand < 0.90) return 2;
-                return 1;
-
-            case 3:
-                // 75% level 3, 20% level 2, 5% level 1
-                if (rand < 0.75) return 3;
-                if (rand < 0.95) return 2;
-                return 1;
-
-            case 4:
-                // 90% level 3, 9% level 2, 1% level 1
-                if (rand < 0.90) return 3;
-                if (rand < 0.99) return 2;
-                return 1;
-
-            case 5:
-            default:
-                // 100% level 3 (all hard questions)
-                return 3;
+        return DifficultyRules.selectLevel(difficultyLevel, Utils.random());
+    },
+
+    /**
+     * Start a new set of questions: clear the history and store the settings
+     * @param {Object} settings - Game settings
+     */
+    startSession: function(settings) {
+        if (settings.operations.length === 0) {
+            throw new Error(I18n.t('errors.noOperations'));
         }
+
+        // Reset question history and store current difficulty
+        this.questionHistory = [];
+        this.currentDifficulty = settings.difficultyLevel;
+        this.currentSettings = settings;
+
+        // Adaptive mode draws some candidates from the child's tracked facts
+        this.trackedFacts = settings.adaptive ? Mastery.loadFacts() : null;
+
+        // List the questions to draw from
+        this.usedKeys = new Set();
+        this.pool = QuestionPool.build(settings, this.currentDifficulty);
     },
 
     /**
      * Generate a set of questions based on settings
+     * Without allowRepeats, a set is no longer than the number of different questions the settings allow
      * @param {Object} settings - Game settings
      * @returns {Array} - Array of question objects
      */
     generateQuestions: function(settings) {
-        const { operations, maxNumber, questionCount, difficultyLevel } = settings;
+        this.startSession(settings);
 
-        if (operations.length === 0) {
-            throw new Error('Please select at least one operation');
+        const available = QuestionPool.countUnique(settings);
+        const count = settings.allowRepeats || available === 0
+            ? settings.questionCount
+            : Math.min(settings.questionCount, available);
+
+        const questions = [];
+        for (let i = 0; i < count; i++) {
+            questions.push(this.generateNextQuestion());
         }
+        
+        return questions;
+    },
 
-        // Reset question history and store current difficulty
-        this.questionHistory = [];
-        this.currentDifficulty = difficultyLevel;
+    /**
+     * Generate the next question of the current session
+     * Used directly by modes that create questions as they go (sprint, survival)
+     * @returns {Object} - Question object
+     */
+    generateNextQuestion: function() {
+        const settings = this.currentSettings;
 
-        // Calculate difficulty distribution based on difficulty level
-        // difficulty 1: 50% level 3, 30% level 2, 20% level 1
-        // difficulty 2: 60% level 3, 30% level 2, 10% level 1
-        // difficulty 3: 75% level 3, 20% level 2, 5% level 1
-        // difficulty 4: 90% level 3, 9% level 2, 1% level 1
-        // difficulty 5: 100% level 3, 0% level 2, 0% level 1
+        // Easy difficulties list fewer facts, so survival rebuilds the pool when it moves past them
+        if ((this.currentDifficulty <= 2) !== (this.pool.difficulty <= 2)) {
+            this.pool = QuestionPool.build(settings, this.currentDifficulty, this.usedKeys);
+        }
 
-        const questions = [];
+        // Every question has been asked: start again (sprints, survival and sets with repeats allowed)
+        if (Object.values(this.pool.operations).every(operationPool => operationPool.remaining === 0)) {
+            this.usedKeys = new Set();
+            this.pool = QuestionPool.build(settings, this.currentDifficulty);
+        }
 
-        for (let i = 0; i < questionCount; i++) {
-            let attempts = 0;
-            let question = null;
+        let question = null;
 
-            // Try to generate a unique question
-            while (question === null && attempts < this.REPEAT_MAX) {
-                attempts++;
+        // Adaptive mode draws some questions from tracked facts
+        // (they were already chosen by weakness, so they skip the level check, but not the similarity check)
+        if (this.trackedFacts && Utils.random() < this.ADAPTIVE_SHARE) {
+            const trackedQuestion = Mastery.pickQuestion(this.trackedFacts, settings);
+            if (trackedQuestion !== null && !this.usedKeys.has(this.getFactKey(trackedQuestion)) &&
+                    !this.isSimilarToLast(trackedQuestion)) {
+                question = trackedQuestion;
+                this.chooseBlank(question, settings.missingNumberPercent);
+            }
+        }
 
-                // Choose a random operation from the selected ones
-                const operation = operations[Math.floor(Math.random() * operations.length)];
+        if (question === null) {
+            question = this.drawFromPool();
+        }
 
-                // Generate a candidate question
-                const candidateQuestion = this.generateSingleQuestion(operation, maxNumber);
+        // Nothing fits the settings (e.g. division with a maximum number of 1): use an unchecked random question
+        if (question === null) {
+            const operation = settings.operations[Math.floor(Utils.random() * settings.operations.length)];
+            question = this.generateSingleQuestion(operation, settings.maxNumber);
+            if (settings.allowNegatives) {
+                question = this.applyNegatives(question);
+            }
+            this.chooseBlank(question, settings.missingNumberPercent);
+        }
 
-                // Determine the difficulty level of the generated question
-                const questionLevel = this.getDifficultyLevel(candidateQuestion, maxNumber);
+        QuestionPool.markUsed(this.pool, this.usedKeys, this.getFactKey(question));
+        this.questionHistory.push(question);
+        return question;
+    },
 
-                // Check if this question meets our difficulty criteria
-                const targetLevel = this.selectTargetLevel(difficultyLevel);
+    /**
+     * Draw a question that hasn't been asked from the pool
+     * The operation is chosen at random, then the level from the difficulty setting
+     * @returns {Object|null} - Question object, or null if the pool is empty
+     */
+    drawFromPool: function() {
+        const settings = this.currentSettings;
+        const operations = settings.operations.filter(operation => this.pool.operations[operation].remaining > 0);
+        if (operations.length === 0) {
+            return null;
+        }
 
-                if (questionLevel !== targetLevel) {
-                    continue;
-                }
+        const operation = operations[Math.floor(Utils.random() * operations.length)];
+        const operationPool = this.pool.operations[operation];
+        const targetLevel = this.selectTargetLevel(this.currentDifficulty);
+        const isSimilar = (fact) => this.isSimilarToLast(fact);
 
-                // Check if this question is a duplicate
-                const isDuplicate = this.questionHistory.some(q =>
-                    q.num1 === candidateQuestion.num1 &&
-                    q.num2 === candidateQuestion.num2 &&
-                    q.operation === candidateQuestion.operation
-                );
+        // Hide an operand instead of the result for some questions
+        let blank = 'result';
+        if (settings.missingNumberPercent > 0 && Utils.random() * 100 < settings.missingNumberPercent) {
+            blank = Utils.random() < 0.5 ? 'num1' : 'num2';
+        }
 
-                if (isDuplicate) {
-                    continue;
-                }
+        // Questions that can't have a missing number (e.g. remainders) are asked as they are
+        let fact = QuestionPool.take(operationPool, blank, targetLevel, this.usedKeys, isSimilar);
+        if (fact === null && blank !== 'result') {
+            blank = 'result';
+            fact = QuestionPool.take(operationPool, blank, targetLevel, this.usedKeys, isSimilar);
+        }
+        if (fact === null) {
+            return null;
+        }
 
-                // Check if this question is too similar to the previous one
-                // Avoid patterns like 3×9 followed by 3×8
-                if (this.questionHistory.length > 0) {
-                    const lastQuestion = this.questionHistory[this.questionHistory.length - 1];
+        const question = { ...fact };
+        this.applyBlank(question, blank);
+        return question;
+    },
 
-                    // Check if same operation and shares an operand
-                    if (lastQuestion.operation === candidateQuestion.operation) {
-                        const shareOperand = (lastQuestion.num1 === candidateQuestion.num1 ||
-                                            lastQuestion.num1 === candidateQuestion.num2 ||
-                                            lastQuestion.num2 === candidateQuestion.num1 ||
-                                            lastQuestion.num2 === candidateQuestion.num2);
+    /**
+     * Check whether a question is too like the previous one
+     * Avoids patterns like 3×9 followed by 3×8
+     * @param {Object} question - Question object
+     * @returns {boolean} - True if it has the same operation and shares an operand
+     */
+    isSimilarToLast: function(question) {
+        const lastQuestion = this.questionHistory[this.questionHistory.length - 1];
+        if (!lastQuestion || lastQuestion.operation !== question.operation) {
+            return false;
+        }
 
-                        if (shareOperand) {
-                            continue;
-                        }
-                    }
-                }
+        const lastOperands = this.getComparableOperands(lastQuestion);
+        return this.getComparableOperands(question).some(operand => lastOperands.includes(operand));
+    },
+    
+    /**
+     * Generate a set of questions from the settings seed
+     * A new seed is created and stored in the settings if none is given
+     * Adaptive sets depend on the child's history and can't be repeated, so a given seed
+     * turns adaptive mode off, and adaptive sets get no seed
+     * @param {Object} settings - Game settings
+     * @returns {Array} - Array of question objects
+     */
+    generateSeededQuestions: function(settings) {
+        if (settings.seed) {
+            settings.adaptive = false;
+        } else if (!settings.adaptive) {
+            settings.seed = Utils.createSeed();
+        }
 
-                question = candidateQuestion;
-                this.questionHistory.push(question);
-            }
-            
-            // If we couldn't generate a unique question after max attempts, just use the last candidate
-            if (question === null) {
-                const operation = operations[Math.floor(Math.random() * operations.length)];
-                question = this.generateSingleQuestion(operation, maxNumber);
-                this.questionHistory.push(question);
-            }
-            
-            questions.push(question);
+        Utils.setSeed(settings.seed || null);
+        try {
+            return this.generateQuestions(settings);
+        } finally {
+            Utils.setSeed(null);
         }
-        
-        return questions;
     },
-    
+
+    /**
+     * Generate a short drill on one fact and its neighbours
+     * (7 × 8 also gives 8 × 7, 6 × 8, 8 × 8, 7 × 7 and 7 × 9)
+     * @param {string} operation - Type of operation
+     * @param {number} num1 - First number of the fact
+     * @param {number} num2 - Second number of the fact
+     * @param {number} min - Smallest number allowed in a neighbour
+     * @param {number} max - Largest number allowed in a neighbour
+     * @returns {Array} - Array of question objects
+     */
+    generateDrillQuestions: function(operation, num1, num2, min, max) {
+        const operands = [[num1, num2], [num2, num1], [num1 - 1, num2], [num1 + 1, num2], [num1, num2 - 1], [num1, num2 + 1]];
+        const questions = new Map();
+
+        operands
+            .filter(([a, b]) => a >= min && a <= max && b >= min && b <= max)
+            .forEach(([a, b]) => {
+                const question = this.createQuestion(operation, a, b);
+                questions.set(this.getFactKey(question), question);
+            });
+
+        // The fact itself comes first, then its neighbours in random order
+        const [fact, ...neighbours] = questions.values();
+        return [fact, ...Utils.shuffleArray(neighbours)];
+    },
+
     /**
      * Generate a single question
      * @param {string} operation - Type of operation
@@ -155,6 +253,18 @@ const QuestionGenerator = {
      * @returns {Object} - Question object
      */
     generateSingleQuestion: function(operation, maxNumber) {
+        switch(operation) {
+            case 'expressions': return Expressions.generate(maxNumber);
+            case 'fractions': return Fractions.generate();
+            case 'decimals': return Decimals.generate(maxNumber);
+        }
+
+        // Chosen times tables replace the usual multiplication and division ranges
+        const tables = this.currentSettings.timesTables || [];
+        if (tables.length > 0 && (operation === 'multiplication' || operation === 'division')) {
+            return this.generateTableQuestion(operation, maxNumber, tables);
+        }
+
         let num1, num2, answer;
 
         function getOperands(maxNumber, difficulty, operation) {
@@ -169,18 +279,18 @@ const QuestionGenerator = {
 
             if (difficulty <= 2) {
                 // Easy mode: one operand < 10
-                if (Math.random() < 0.5) {
+                if (Utils.random() < 0.5) {
                     return [Utils.getRandomInt(1, 9), Utils.getRandomInt(1, effectiveMax)];
                 } else {
                     return [Utils.getRandomInt(1, effectiveMax), Utils.getRandomInt(1, 9)];
                 }
             } else if (difficulty <= 4) {
                 // Medium mode: 70% chance both operands can be any value
-                if (Math.random() < 0.7) {
+                if (Utils.random() < 0.7) {
                     return [Utils.getRandomInt(1, effectiveMax), Utils.getRandomInt(1, effectiveMax)];
                 } else {
                     // 30% chance one operand < 10
-                    if (Math.random() < 0.5) {
+                    if (Utils.random() < 0.5) {
                         return [Utils.getRandomInt(1, 9), Utils.getRandomInt(1, effectiveMax)];
                     } else {
                         return [Utils.getRandomInt(1, effectiveMax), Utils.getRandomInt(1, 9)];
@@ -218,7 +328,7 @@ const QuestionGenerator = {
                 // For division, ensure exact division and both operands <= divMax
                 if (this.currentDifficulty <= 2) {
                     // Easy mode: one operand < 5
-                    if (Math.random() < 0.5) {
+                    if (Utils.random() < 0.5) {
                         num2 = Utils.getRandomInt(2, 5);
                         answer = Utils.getRandomInt(1, divMax);
                     } else {
@@ -227,11 +337,11 @@ const QuestionGenerator = {
                     }
                 } else if (this.currentDifficulty <= 4) {
                     // Medium mode: 70% chance both can be larger
-                    if (Math.random() < 0.7) {
+                    if (Utils.random() < 0.7) {
                         num2 = Utils.getRandomInt(2, divMax);
                         answer = Utils.getRandomInt(1, divMax);
                     } else {
-                        if (Math.random() < 0.5) {
+                        if (Utils.random() < 0.5) {
                             num2 = Utils.getRandomInt(2, 5);
                             answer = Utils.getRandomInt(1, divMax);
                         } else {
@@ -245,6 +355,11 @@ const QuestionGenerator = {
                     answer = Utils.getRandomInt(1, divMax);
                 }
                 num1 = num2 * answer;
+
+                // Add a remainder so the division is not exact
+                if (this.currentSettings.divisionRemainders) {
+                    return this.createRemainderQuestion(num1 + Utils.getRandomInt(1, num2 - 1), num2);
+                }
                 break;
             }
             default: {
@@ -259,6 +374,8 @@ const QuestionGenerator = {
             num2,
             operation,
             answer,
+            result: answer,
+            blank: 'result',
             userAnswer: null,
             isCorrect: null,
             timeElapsed: 0
@@ -266,91 +383,361 @@ const QuestionGenerator = {
     },
     
     /**
-     * Get difficulty level of a question
-     * @param {Object} question - Question object
-     * @returns {number} - Difficulty level (1-3)
+     * Generate a multiplication or division question from the chosen times tables
+     * One factor (or the divisor) is a chosen table, the other goes up to 12
+     * @param {string} operation - 'multiplication' or 'division'
+     * @param {number} maxNumber - Maximum number to use
+     * @param {Array} tables - Chosen times tables (1-12)
+     * @returns {Object} - Question object
      */
-    getDifficultyLevel: function(question, maxNumber) {
-        const { num1, num2, operation, answer } = question;
+    generateTableQuestion: function(operation, maxNumber, tables) {
+        const table = tables[Math.floor(Utils.random() * tables.length)];
+        const factor = Utils.getRandomInt(1, Math.min(maxNumber, this.TABLE_LENGTH));
 
-        // Special handling for multiplication
-        if (operation === 'multiplication') {
-            // Level 1 (Easy): Either number < 3 (1x, 2x tables)
-            if (num1 < 3 || num2 < 3) {
-                return 1;
+        if (operation === 'division') {
+            if (this.currentSettings.divisionRemainders && table > 1) {
+                return this.createRemainderQuestion(table * factor + Utils.getRandomInt(1, table - 1), table);
             }
+            return this.createQuestion('division', table * factor, table);
+        }
 
-            // Level 2 (Medium): Either number < 6 (3x, 4x, 5x tables)
-            if (num1 < 6 || num2 < 6) {
-                return 2;
-            }
+        return Utils.random() < 0.5
+            ? this.createQuestion('multiplication', table, factor)
+            : this.createQuestion('multiplication', factor, table);
+    },
 
-            // Level 3 (Hard): Both numbers ≥ 6 (6x6 and above)
-            return 3;
+    /**
+     * Randomly make operands negative for integers mode (-3 + 7, 4 - 9, -6 × 3)
+     * @param {Object} question - Question object with positive operands
+     * @returns {Object} - Question object, possibly with negative operands and result
+     */
+    applyNegatives: function(question) {
+        if (!this.isWholeNumberFact(question)) {
+            return question;
         }
 
-        // For addition, subtraction, division:
+        const sign = () => (Utils.random() < 0.5 ? -1 : 1);
+        let { num1, num2 } = question;
 
-        // Level 1 (Easy): Very simple questions
-        // - Both numbers ≤ 3, OR
-        // - Either number is 1 or 2
-        if ((num1 <= 3 && num2 <= 3) || num1 <= 2 || num2 <= 2) {
-            return 1;
+        // Keep division exact by giving signs to the divisor and quotient
+        if (question.operation === 'division') {
+            const divisor = sign() * num2;
+            const quotient = sign() * (num1 / num2);
+            return this.createQuestion('division', divisor * quotient, divisor);
         }
 
-        // Level 2 (Medium): Questions that are easier due to patterns
-        // - Both numbers are multiples of 10 (10+10, 20-10), OR
-        // - Both numbers less than 6 (5+5, 4+3), OR
-        // - Either number is a multiple of 10 (20-7, 10+9), OR
-        // - Subtraction where numbers are very close (14-4, 15-5), OR
-        // - Addition where answer is a multiple of 10 (19+11=30, 17+13=30), OR
-        // - Addition where both ones digits are the same (16+6, 18+8, 13+3)
-        if ((num1 % 10 === 0 && num2 % 10 === 0) || (num1 < 6 && num2 < 6)) {
-            return 2;
+        // Subtraction may now take a larger number from a smaller one
+        if (question.operation === 'subtraction' && Utils.random() < 0.5) {
+            [num1, num2] = [num2, num1];
         }
 
-        // Easy patterns with multiples of 10
-        if (num1 % 10 === 0 || num2 % 10 === 0) {
-            return 2;
+        return this.createQuestion(question.operation, sign() * num1, sign() * num2);
+    },
+
+    /**
+     * Get the operands used to stop consecutive questions looking alike
+     * When times tables are chosen, the table number itself is ignored,
+     * otherwise a single chosen table could never be practised
+     * @param {Object} question - Question object
+     * @returns {Array} - Operands to compare
+     */
+    getComparableOperands: function(question) {
+        const tables = this.currentSettings.timesTables || [];
+        const usesTables = tables.length > 0 &&
+            (question.operation === 'multiplication' || question.operation === 'division');
+
+        return [question.num1, question.num2].filter(operand => !(usesTables && tables.includes(operand)));
+    },
+
+    /**
+     * Create a question object from its operands
+     * @param {string} operation - Type of operation
+     * @param {number} num1 - First operand
+     * @param {number} num2 - Second operand
+     * @returns {Object} - Question object
+     */
+    createQuestion: function(operation, num1, num2) {
+        let answer;
+
+        switch(operation) {
+            case 'subtraction': answer = num1 - num2; break;
+            case 'multiplication': answer = num1 * num2; break;
+            case 'division': answer = num1 / num2; break;
+            default: answer = num1 + num2;
         }
 
-        // Addition where the answer is a multiple of 10
-        if (operation === 'addition' && answer % 10 === 0) {
-            return 2;
+        return {
+            num1,
+            num2,
+            operation,
+            answer,
+            result: answer,
+            blank: 'result',
+            userAnswer: null,
+            isCorrect: null,
+            timeElapsed: 0
+        };
+    },
+
+    /**
+     * Create a division question with a remainder (23 ÷ 4 = 5 r 3)
+     * @param {number} num1 - Dividend
+     * @param {number} num2 - Divisor
+     * @returns {Object} - Question object
+     */
+    createRemainderQuestion: function(num1, num2) {
+        const quotient = Math.floor(num1 / num2);
+        const remainder = num1 % num2;
+        const answer = `${quotient} r ${remainder}`;
+
+        return {
+            num1,
+            num2,
+            operation: 'division',
+            quotient,
+            remainder,
+            answer,
+            result: answer,
+            blank: 'result',
+            answerType: 'remainder',
+            userAnswer: null,
+            isCorrect: null,
+            timeElapsed: 0
+        };
+    },
+
+    /**
+     * Check whether a question is a single whole-number fact (e.g. 7 × 8 = 56)
+     * @param {Object} question - Question object
+     * @returns {boolean} - True for whole-number facts without a remainder
+     */
+    isWholeNumberFact: function(question) {
+        return this.FACT_OPERATIONS.includes(question.operation) && !question.answerType;
+    },
+
+    /**
+     * Randomly turn a question into a missing number question
+     * @param {Object} question - Question object (modified in place)
+     * @param {number} missingNumberPercent - Chance (0-100) of hiding an operand
+     */
+    chooseBlank: function(question, missingNumberPercent = 0) {
+        if (!this.isWholeNumberFact(question)) {
+            return;
+        }
+
+        if (missingNumberPercent > 0 && Utils.random() * 100 < missingNumberPercent) {
+            this.applyBlank(question, Utils.random() < 0.5 ? 'num1' : 'num2');
+        } else {
+            this.applyBlank(question, 'result');
+        }
+    },
+
+    /**
+     * Set which part of a question the child has to fill in
+     * @param {Object} question - Question object (modified in place)
+     * @param {string} blank - 'result', 'num1' or 'num2'
+     */
+    applyBlank: function(question, blank) {
+        question.blank = blank;
+        question.answer = blank === 'result' ? question.result : question[blank];
+    },
+
+    /**
+     * Get the equivalent inverse question for a missing number question
+     * e.g. □ + 5 = 12 is solved as 12 - 5, and 15 - □ = 9 as 15 - 9
+     * @param {Object} question - Question object with an operand blank
+     * @returns {Object} - Question object with the result blank
+     */
+    getInverseQuestion: function(question) {
+        const { num1, num2, operation, result, blank } = question;
+        const known = blank === 'num1' ? num2 : num1;
+
+        switch(operation) {
+            case 'addition':
+                return this.createQuestion('subtraction', result, known);
+            case 'subtraction':
+                return blank === 'num1'
+                    ? this.createQuestion('addition', result, num2)
+                    : this.createQuestion('subtraction', num1, result);
+            case 'multiplication':
+                return this.createQuestion('division', result, known);
+            case 'division':
+                return blank === 'num1'
+                    ? this.createQuestion('multiplication', result, num2)
+                    : this.createQuestion('division', num1, result);
+            default:
+                return question;
+        }
+    },
+
+    /**
+     * Get the identity of the fact a question practises
+     * @param {Object} question - Question object
+     * @returns {string} - Fact key (operation and operands)
+     */
+    getFactKey: function(question) {
+        if (!this.FACT_OPERATIONS.includes(question.operation)) {
+            return `${question.operation}:${this.formatQuestion(question)}`;
         }
+        return `${question.operation}:${question.num1}:${question.num2}`;
+    },
+
+    /**
+     * Check whether a fact could have been generated with the given settings
+     * With remainders on, divisions must leave a remainder (23 ÷ 4), and without, they must be exact
+     * @param {Object} fact - Object with operation, num1 and num2
+     * @param {Object} settings - Game settings
+     * @returns {boolean} - True if the fact fits the settings
+     */
+    fitsSettings: function(fact, settings) {
+        const { operation } = fact;
+        const tableMax = Math.min(settings.maxNumber, 10);
+
+        // Negative facts only fit integers mode, where they are checked by size
+        if (!settings.allowNegatives && this.createQuestion(operation, fact.num1, fact.num2).result < 0) {
+            return false;
+        }
+        const num1 = settings.allowNegatives ? Math.abs(fact.num1) : fact.num1;
+        const num2 = settings.allowNegatives ? Math.abs(fact.num2) : fact.num2;
+
+        // Divisions with remainders are only made from positive numbers
+        if (operation === 'division') {
+            const hasRemainder = num1 % num2 !== 0;
+            if (hasRemainder !== Boolean(settings.divisionRemainders) || (hasRemainder && (fact.num1 < 0 || fact.num2 < 0))) {
+                return false;
+            }
+        }
+        const quotient = Math.floor(num1 / num2);
+
+        // Chosen times tables: one factor (or the divisor) must be a chosen table
+        const tables = settings.timesTables || [];
+        if (tables.length > 0 && (operation === 'multiplication' || operation === 'division')) {
+            const factorMax = Math.min(settings.maxNumber, this.TABLE_LENGTH);
+            if (operation === 'division') {
+                return tables.includes(num2) && quotient >= 1 && quotient <= factorMax;
+            }
+            return (tables.includes(num1) && num2 >= 1 && num2 <= factorMax) ||
+                (tables.includes(num2) && num1 >= 1 && num1 <= factorMax);
+        }
+
+        switch(operation) {
+            case 'multiplication':
+                return num1 >= 1 && num2 >= 1 && num1 <= tableMax && num2 <= tableMax;
+            case 'division':
+                return num2 >= 2 && num2 <= tableMax && quotient >= 1 && quotient <= tableMax;
+            default:
+                return num1 >= 1 && num2 >= 1 && num1 <= settings.maxNumber && num2 <= settings.maxNumber;
+        }
+    },
 
-        // Addition where both ones digits are the same (16+6, 18+8, 13+3)
-        if (operation === 'addition' && (num1 % 10 === num2 || num2 % 10 === num1)) {
-            return 2;
+    /**
+     * Get difficulty level of a question
+     * @param {Object} question - Question object
+     * @returns {number} - Difficulty level (1-3)
+     */
+    getDifficultyLevel: function(question, maxNumber) {
+        switch(question.operation) {
+            case 'expressions': return Expressions.getDifficultyLevel(question);
+            case 'fractions': return Fractions.getDifficultyLevel(question);
+            case 'decimals': return Decimals.getDifficultyLevel(question);
         }
 
-        // Subtraction where the second number matches the ones digit (14-4, 17-7)
-        if (operation === 'subtraction' && num1 % 10 === num2) {
-            return 2;
+        // Remainder questions are as hard as the exact division below them
+        if (question.answerType === 'remainder') {
+            return this.getDifficultyLevel(this.createQuestion('division', question.num1 - question.remainder, question.num2), maxNumber);
         }
 
-        // Subtraction with small answers (easier to verify)
-        if (operation === 'subtraction' && answer <= 5) {
-            return 2;
+        // Missing number questions are as hard as the inverse question used to solve them
+        if (question.blank === 'num1' || question.blank === 'num2') {
+            return this.getDifficultyLevel(this.getInverseQuestion(question), maxNumber);
         }
 
-        // Subtraction where numbers are close together (18-13, 16-11, 19-14)
-        if (operation === 'subtraction' && (num1 - num2) <= 10) {
-            return 2;
+        // Questions with negative numbers
+        if (question.num1 < 0 || question.num2 < 0 || question.result < 0) {
+            return this.getSignedDifficultyLevel(question, maxNumber);
         }
 
-        // Level 3 (Hard): Everything else
-        // This includes questions like 17-9, 25-8, 23-6, 20-7
-        return 3;
+        // Everything else is rated by the difficulty rules
+        return DifficultyRules.getLevel(question);
     },
     
     /**
-     * Format a question for display
+     * Get difficulty level of a question with negative numbers
+     * Sign changes make a question harder than the same question without signs
+     * @param {Object} question - Question object with a negative operand or result
+     * @param {number} maxNumber - Maximum number setting
+     * @returns {number} - Difficulty level (2-3)
+     */
+    getSignedDifficultyLevel: function(question, maxNumber) {
+        const { num1, num2, operation, result } = question;
+
+        if (operation === 'addition' || operation === 'subtraction') {
+            // Level 3 (Hard): crossing zero (4 - 9 = -5, -3 + 7 = 4)
+            if (Math.sign(result) !== Math.sign(num1)) {
+                return 3;
+            }
+
+            // Level 3 (Hard): subtracting a negative (5 - (-3) = 8)
+            if (operation === 'subtraction' && num2 < 0) {
+                return 3;
+            }
+        } else if (num1 < 0 && num2 < 0) {
+            // Level 3 (Hard): two negatives make a positive (-6 × -3 = 18)
+            return 3;
+        }
+
+        // Otherwise at least Level 2 (Medium), or harder if the same numbers without signs are
+        const unsigned = this.createQuestion(operation, Math.abs(num1), Math.abs(num2));
+        return Math.max(2, this.getDifficultyLevel(unsigned, maxNumber));
+    },
+
+    /**
+     * Format an operand, putting negative numbers after the first in brackets
+     * @param {number|string} operand - Operand or blank placeholder
+     * @param {boolean} isFirst - True for the first operand
+     * @returns {string} - Formatted operand
+     */
+    formatOperand: function(operand, isFirst) {
+        return !isFirst && operand < 0 ? `(${operand})` : `${operand}`;
+    },
+
+    /**
+     * Format a question for display, in the current language's notation
      * @param {Object} question - Question object
      * @returns {string} - Formatted question
      */
     formatQuestion: function(question) {
+        switch(question.operation) {
+            case 'expressions': return `${Expressions.format(question)} =`;
+            case 'fractions': return `${Fractions.formatQuestion(question)} =`;
+            case 'decimals': return I18n.formatNumbers(`${Decimals.formatQuestion(question)} =`);
+        }
+
+        const symbol = Utils.getOperationSymbol(question.operation);
+
+        const num1 = this.formatOperand(question.num1, true);
+        const num2 = this.formatOperand(question.num2, false);
+
+        switch(question.blank) {
+            case 'num1': return `${this.BLANK} ${symbol} ${num2} = ${question.result}`;
+            case 'num2': return `${num1} ${symbol} ${this.BLANK} = ${question.result}`;
+            default: return `${num1} ${symbol} ${num2} =`;
+        }
+    },
+
+    /**
+     * Format a question with its answer filled in
+     * @param {Object} question - Question object
+     * @returns {string} - Formatted number sentence
+     */
+    formatSolution: function(question) {
+        if (!this.FACT_OPERATIONS.includes(question.operation)) {
+            return `${this.formatQuestion(question)} ${I18n.formatNumbers(question.result)}`;
+        }
+
         const symbol = Utils.getOperationSymbol(question.operation);
-        return `${question.num1} ${symbol} ${question.num2} =`;
+        const num1 = this.formatOperand(question.num1, true);
+        const num2 = this.formatOperand(question.num2, false);
+        return `${num1} ${symbol} ${num2} = ${question.result}`;
     }
 };
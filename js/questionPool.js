@@ -0,0 +1,315 @@
+/**
+ * Question pools for Mira Maths
+ * Lists every question the settings allow, grouped by difficulty level, so a set can be
+ * drawn without repeats and with the right mix of levels however small the choice is
+ */
+
+import { Utils } from './utils.js';
+import { QuestionGenerator } from './questionGenerator.js';
+
+export const QuestionPool = {
+    // Constants
+    LIST_LIMIT: 10000,      // Operations with more possible facts than this are sampled instead of listed
+    SAMPLE_DRAWS: 500,      // Random candidates drawn for a sampled operation
+    SIMILAR_SKIPS: 20,      // Facts skipped for looking like the previous question before taking one anyway
+    LEVELS: [1, 2, 3],
+    BLANKS: ['result', 'num1', 'num2'],
+
+    /**
+     * Build the pool for a set of questions
+     * @param {Object} settings - Game settings
+     * @param {number} difficulty - Game difficulty level (1-5)
+     * @param {Set} usedKeys - Fact keys already asked (left out of the remaining counts)
+     * @returns {Object} - { difficulty, operations } where each operation has its facts,
+     *                     the facts grouped by blank and level, and the number not yet asked
+     */
+    build: function(settings, difficulty, usedKeys = new Set()) {
+        const blanks = settings.missingNumberPercent > 0 ? this.BLANKS : ['result'];
+        const operations = {};
+
+        settings.operations.forEach(operation => {
+            const facts = this.listFacts(operation, settings, difficulty) || this.sampleFacts(operation, settings);
+            const buckets = {};
+            blanks.forEach(blank => {
+                buckets[blank] = {};
+                this.LEVELS.forEach(level => {
+                    buckets[blank][level] = [];
+                });
+            });
+
+            facts.forEach(fact => {
+                blanks.forEach(blank => {
+                    if (blank !== 'result' && !QuestionGenerator.isWholeNumberFact(fact)) {
+                        return;
+                    }
+                    // Missing number questions have the level of their inverse, so each blank is rated
+                    const question = { ...fact };
+                    QuestionGenerator.applyBlank(question, blank);
+                    buckets[blank][QuestionGenerator.getDifficultyLevel(question, settings.maxNumber)].push(fact);
+                });
+            });
+
+            const keys = new Set(facts.map(fact => QuestionGenerator.getFactKey(fact)));
+            operations[operation] = {
+                facts,
+                buckets,
+                keys,
+                remaining: [...keys].filter(key => !usedKeys.has(key)).length
+            };
+        });
+
+        return { difficulty, operations };
+    },
+
+    /**
+     * Count the different questions the settings allow
+     * @param {Object} settings - Game settings
+     * @returns {number} - Number of different questions (Infinity when an operation has too many to list)
+     */
+    countUnique: function(settings) {
+        return settings.operations.reduce((total, operation) => {
+            const facts = this.listFacts(operation, settings, settings.difficultyLevel);
+            return total + (facts ? facts.length : Infinity);
+        }, 0);
+    },
+
+    /**
+     * List every whole-number fact the settings allow for an operation
+     * Easy difficulties keep one number small, as the random generator does
+     * @param {string} operation - Type of operation
+     * @param {Object} settings - Game settings
+     * @param {number} difficulty - Game difficulty level (1-5)
+     * @returns {Array|null} - Question objects, or null if the operation can't be listed
+     *                         (expressions, fractions, decimals, or more than LIST_LIMIT facts)
+     */
+    listFacts: function(operation, settings, difficulty) {
+        if (!QuestionGenerator.FACT_OPERATIONS.includes(operation)) {
+            return null;
+        }
+
+        const { maxNumber, divisionRemainders, allowNegatives } = settings;
+        const easy = difficulty <= 2;
+        const tables = settings.timesTables || [];
+        const facts = [];
+
+        // Addition and subtraction grow with the square of the maximum number (four times that with signs)
+        const signVariants = allowNegatives ? 4 : 1;
+        if ((operation === 'addition' || operation === 'subtraction') && maxNumber * maxNumber * signVariants > this.LIST_LIMIT) {
+            return null;
+        }
+
+        if (tables.length > 0 && (operation === 'multiplication' || operation === 'division')) {
+            // Chosen times tables: one factor (or the divisor) is a table, the other goes up to 12
+            const factorMax = Math.min(maxNumber, QuestionGenerator.TABLE_LENGTH);
+            tables.forEach(table => {
+                for (let factor = 1; factor <= factorMax; factor++) {
+                    if (operation === 'multiplication') {
+                        facts.push(QuestionGenerator.createQuestion('multiplication', table, factor));
+                        facts.push(QuestionGenerator.createQuestion('multiplication', factor, table));
+                    } else if (divisionRemainders && table > 1) {
+                        for (let remainder = 1; remainder < table; remainder++) {
+                            facts.push(QuestionGenerator.createRemainderQuestion(table * factor + remainder, table));
+                        }
+                    } else {
+                        facts.push(QuestionGenerator.createQuestion('division', table * factor, table));
+                    }
+                }
+            });
+        } else {
+            switch(operation) {
+                case 'addition':
+                    for (let num1 = 1; num1 <= maxNumber; num1++) {
+                        for (let num2 = 1; num2 <= maxNumber; num2++) {
+                            if (!easy || num1 <= 9 || num2 <= 9) {
+                                facts.push(QuestionGenerator.createQuestion('addition', num1, num2));
+                            }
+                        }
+                    }
+                    break;
+                case 'subtraction':
+                    for (let num1 = 1; num1 <= maxNumber; num1++) {
+                        for (let num2 = 1; num2 <= num1; num2++) {
+                            if (!easy || num2 <= 9) {
+                                facts.push(QuestionGenerator.createQuestion('subtraction', num1, num2));
+                            }
+                        }
+                    }
+                    break;
+                case 'multiplication': {
+                    // Multiplication tables up to 10
+                    const tableMax = Math.min(maxNumber, 10);
+                    for (let num1 = 1; num1 <= tableMax; num1++) {
+                        for (let num2 = 1; num2 <= tableMax; num2++) {
+                            if (!easy || num1 <= 9 || num2 <= 9) {
+                                facts.push(QuestionGenerator.createQuestion('multiplication', num1, num2));
+                            }
+                        }
+                    }
+                    break;
+                }
+                case 'division': {
+                    // Exact divisions from the tables up to 10 (or with every possible remainder)
+                    const divMax = Math.min(maxNumber, 10);
+                    for (let divisor = 2; divisor <= divMax; divisor++) {
+                        for (let quotient = 1; quotient <= divMax; quotient++) {
+                            if (easy && divisor > 5 && quotient > 5) {
+                                continue;
+                            }
+                            if (divisionRemainders) {
+                                for (let remainder = 1; remainder < divisor; remainder++) {
+                                    facts.push(QuestionGenerator.createRemainderQuestion(divisor * quotient + remainder, divisor));
+                                }
+                            } else {
+                                facts.push(QuestionGenerator.createQuestion('division', divisor * quotient, divisor));
+                            }
+                        }
+                    }
+                    break;
+                }
+            }
+        }
+
+        // Integers mode: every way of giving the numbers signs
+        const signed = allowNegatives ? facts.flatMap(fact => this.getSignedVariants(fact)) : facts;
+
+        // The same fact can come from two tables (3 × 4 with tables 3 and 4)
+        const unique = new Map();
+        signed.forEach(fact => {
+            const key = QuestionGenerator.getFactKey(fact);
+            if (!unique.has(key)) {
+                unique.set(key, fact);
+            }
+        });
+        return [...unique.values()];
+    },
+
+    /**
+     * Get every signed version of a fact that integers mode can ask (see QuestionGenerator.applyNegatives)
+     * @param {Object} fact - Question object with positive operands
+     * @returns {Array} - Question objects, including the fact itself
+     */
+    getSignedVariants: function(fact) {
+        if (!QuestionGenerator.isWholeNumberFact(fact)) {
+            return [fact];
+        }
+
+        const signs = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+        const { operation, num1, num2 } = fact;
+
+        // Division keeps exact by giving signs to the divisor and quotient
+        if (operation === 'division') {
+            return signs.map(([divisorSign, quotientSign]) =>
+                QuestionGenerator.createQuestion('division', divisorSign * num2 * quotientSign * (num1 / num2), divisorSign * num2));
+        }
+
+        // Subtraction may also take the larger number from the smaller one
+        const orders = operation === 'subtraction' ? [[num1, num2], [num2, num1]] : [[num1, num2]];
+        return orders.flatMap(([a, b]) =>
+            signs.map(([sign1, sign2]) => QuestionGenerator.createQuestion(operation, sign1 * a, sign2 * b)));
+    },
+
+    /**
+     * Draw random questions for an operation that can't be listed, without duplicates
+     * Uses the current session settings of QuestionGenerator
+     * @param {string} operation - Type of operation
+     * @param {Object} settings - Game settings
+     * @returns {Array} - Question objects
+     */
+    sampleFacts: function(operation, settings) {
+        const unique = new Map();
+
+        for (let i = 0; i < this.SAMPLE_DRAWS; i++) {
+            let fact = QuestionGenerator.generateSingleQuestion(operation, settings.maxNumber);
+            if (settings.allowNegatives) {
+                fact = QuestionGenerator.applyNegatives(fact);
+            }
+            const key = QuestionGenerator.getFactKey(fact);
+            if (!unique.has(key)) {
+                unique.set(key, fact);
+            }
+        }
+
+        return [...unique.values()];
+    },
+
+    /**
+     * Record that a fact has been asked
+     * @param {Object} pool - Pool from build()
+     * @param {Set} usedKeys - Fact keys already asked (modified in place)
+     * @param {string} key - Fact key of the question asked
+     */
+    markUsed: function(pool, usedKeys, key) {
+        if (usedKeys.has(key)) {
+            return;
+        }
+        usedKeys.add(key);
+        Object.values(pool.operations).forEach(operationPool => {
+            if (operationPool.keys.has(key)) {
+                operationPool.remaining--;
+            }
+        });
+    },
+
+    /**
+     * Take a fact that hasn't been asked from an operation's pool
+     * Tries the target level first, then the nearest levels
+     * @param {Object} operationPool - One operation from build()
+     * @param {string} blank - 'result', 'num1' or 'num2'
+     * @param {number} targetLevel - Wanted difficulty level (1-3)
+     * @param {Set} usedKeys - Fact keys already asked
+     * @param {Function} isSimilar - Returns true for facts too like the previous question
+     * @returns {Object|null} - Fact (shared with the pool, so copy it before changing it), or null if none is left
+     */
+    take: function(operationPool, blank, targetLevel, usedKeys, isSimilar) {
+        const buckets = operationPool.buckets[blank];
+        if (!buckets) {
+            return null;
+        }
+
+        for (const level of this.getLevelOrder(targetLevel)) {
+            const bucket = buckets[level];
+            let skipped = 0;
+
+            while (bucket.length > 0) {
+                const index = Math.floor(Utils.random() * bucket.length);
+                const fact = bucket[index];
+
+                // Facts asked already (perhaps with another blank) are dropped as they are found
+                if (usedKeys.has(QuestionGenerator.getFactKey(fact))) {
+                    this.removeAt(bucket, index);
+                    continue;
+                }
+
+                // Avoid patterns like 3×9 followed by 3×8 while there is a choice
+                if (skipped < this.SIMILAR_SKIPS && isSimilar(fact)) {
+                    skipped++;
+                    continue;
+                }
+
+                this.removeAt(bucket, index);
+                return fact;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Get the levels to try, nearest to the target first (easier before harder on a tie)
+     * @param {number} targetLevel - Wanted difficulty level
+     * @returns {Array} - Levels in order
+     */
+    getLevelOrder: function(targetLevel) {
+        return [...this.LEVELS].sort((a, b) => Math.abs(a - targetLevel) - Math.abs(b - targetLevel) || a - b);
+    },
+
+    /**
+     * Remove an item from an array whose order doesn't matter
+     * @param {Array} array - Array (modified in place)
+     * @param {number} index - Index of the item to remove
+     */
+    removeAt: function(array, index) {
+        array[index] = array[array.length - 1];
+        array.pop();
+    }
+};
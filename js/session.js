@@ -0,0 +1,437 @@
+/**
+ * Game session engine for Mira Maths
+ * Runs a game (questions, answers, score, lives, levels) without touching the page,
+ * so it can be driven by the game screens, embedded in another page or run under Node:
+ *
+ *     const session = Session.create({ operations: ['multiplication'], questionCount: 5 });
+ *     session.on('end', summary => console.log(summary.score));
+ *     session.start();
+ *     session.submitAnswer('56');
+ *     session.advance();
+ *
+ * Events (listeners receive one object):
+ * - question: { question, index, total } when a question is shown (total is null in sprint and survival)
+ * - round: { questions, number } when a worksheet page is shown (number 2 onwards repeats mistakes)
+ * - answer: { question, streak } after a question is answered or times out
+ * - levelUp: { level, questionTime } when survival mode gets harder
+ * - end: the summary from summarise()
+ */
+
+import { Settings } from './settings.js';
+import { Answers } from './answers.js';
+import { Mistakes } from './mistakes.js';
+import { QuestionGenerator } from './questionGenerator.js';
+
+export const Session = {
+    // Survival mode: lives, and how it gets harder every few correct answers
+    SURVIVAL_LIVES: 3,
+    SURVIVAL_STEP: 5,           // Correct answers per level
+    SURVIVAL_TIME_FACTOR: 0.85, // Time per question is multiplied by this each level
+    SURVIVAL_MIN_TIME: 2,       // Shortest time per question (seconds)
+
+    // Number of slowest answers listed in the summary
+    SLOWEST_COUNT: 5,
+
+    /**
+     * Create a session
+     * Each session is a new object that shares these methods and constants
+     * @param {Object} settings - Game settings (missing ones are filled in from Settings.DEFAULTS)
+     * @param {Array|null} questions - Questions to ask (e.g. a mistakes round, which has no seed), or null to generate them
+     * @param {Object} options - { now } to replace performance.now as the clock (optional, e.g. in tests)
+     * @returns {Object} - New session, ready to start
+     */
+    create: function(settings, questions = null, options = {}) {
+        const session = Object.create(this);
+        session.settings = Settings.withDefaults(settings);
+        session.now = options.now || (() => performance.now());
+        session.listeners = {};
+
+        session.questions = [];
+        session.currentQuestionIndex = 0;
+        session.roundStart = 0;     // Index of the first question on the current worksheet page
+        session.roundNumber = 1;
+        session.score = 0;
+        session.streak = 0;         // Correct answers in a row
+        session.lives = this.SURVIVAL_LIVES;
+        session.level = 1;
+        session.questionTime = session.settings.timePerQuestion;
+        session.questionShownAt = 0;
+        session.paused = false;
+        session.pausedAt = 0;
+        session.finished = false;
+
+        // Generate questions (sprints and survival create them one at a time as they are answered)
+        if (session.generatesOnDemand()) {
+            session.settings.seed = '';
+            QuestionGenerator.startSession(session.settings);
+        } else if (questions) {
+            // Hand-built questions (mistakes rounds, fact drills) can't be made again from a seed
+            session.settings.seed = '';
+            session.questions = questions;
+        } else {
+            session.questions = QuestionGenerator.generateSeededQuestions(session.settings);
+        }
+
+        return session;
+    },
+
+    /**
+     * Listen for an event
+     * @param {string} event - Event name (see the top of this file)
+     * @param {Function} listener - Called with the event's data
+     * @returns {Function} - Call to stop listening
+     */
+    on: function(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(other => other !== listener);
+        };
+    },
+
+    /**
+     * Call the listeners for an event
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    emit: function(event, data) {
+        (this.listeners[event] || []).slice().forEach(listener => listener(data));
+    },
+
+    /**
+     * Start the session: show the first question, or the whole worksheet
+     */
+    start: function() {
+        if (this.isWorksheet()) {
+            this.emit('round', { questions: this.getRoundQuestions(), number: this.roundNumber });
+        } else {
+            this.showQuestion(0);
+        }
+    },
+
+    /**
+     * Check whether all questions are answered on one page
+     * @returns {boolean} - True for worksheet (all-at-once) games
+     */
+    isWorksheet: function() {
+        return this.settings.practiceMode === 'all-at-once';
+    },
+
+    /**
+     * Check whether questions are created one at a time during play instead of up front
+     * @returns {boolean} - True for sprint and survival games
+     */
+    generatesOnDemand: function() {
+        return this.settings.practiceMode === 'sprint' || this.settings.practiceMode === 'survival';
+    },
+
+    /**
+     * Check whether each question has its own time limit
+     * @returns {boolean} - True unless the timer is off or the game is a sprint
+     */
+    hasQuestionTimer: function() {
+        return this.settings.timerEnabled && this.settings.practiceMode !== 'sprint';
+    },
+
+    /**
+     * Get the current question object
+     * @returns {Object} - Current question
+     */
+    getCurrentQuestion: function() {
+        return this.questions[this.currentQuestionIndex];
+    },
+
+    /**
+     * Get the questions on the current worksheet page
+     * @returns {Array} - Question objects
+     */
+    getRoundQuestions: function() {
+        return this.questions.slice(this.roundStart);
+    },
+
+    /**
+     * Show a question, creating it first in sprint and survival games
+     * @param {number} index - Question index
+     */
+    showQuestion: function(index) {
+        if (index >= this.questions.length) {
+            this.questions.push(QuestionGenerator.generateNextQuestion());
+        }
+
+        this.currentQuestionIndex = index;
+        const question = this.questions[index];
+
+        // Start timing the response
+        question.firstKeyMs = null;
+        question.responseMs = null;
+        this.questionShownAt = this.now();
+        if (this.paused) {
+            this.pausedAt = this.questionShownAt;
+        }
+
+        this.emit('question', {
+            question,
+            index,
+            total: this.generatesOnDemand() ? null : this.questions.length
+        });
+    },
+
+    /**
+     * Record a change to the typed answer
+     * The first change is kept as the time to the first keystroke
+     * @param {string} text - Answer typed so far
+     * @returns {boolean} - True if the answer is already right (so it can be submitted straight away)
+     */
+    recordInput: function(text) {
+        const question = this.getCurrentQuestion();
+        if (question.firstKeyMs === null) {
+            question.firstKeyMs = Math.round(this.now() - this.questionShownAt);
+        }
+        return Answers.isCorrect(question, Answers.parse(question, text));
+    },
+
+    /**
+     * Answer the current question
+     * A wrong answer is asked again at the end of a mistakes round, and costs a life in survival mode
+     * @param {string} text - Typed answer ('' when there is none)
+     * @returns {Object|null} - Answered question, or null if it was already answered or the session is over
+     */
+    submitAnswer: function(text) {
+        const question = this.getCurrentQuestion();
+        if (this.finished || !question || question.isCorrect !== null) {
+            return null;
+        }
+
+        // Record answer and check correctness (a timed out question counts the full time)
+        question.userAnswer = Answers.parse(question, text);
+        question.isCorrect = Answers.isCorrect(question, question.userAnswer);
+        question.responseMs = Math.round((this.paused ? this.pausedAt : this.now()) - this.questionShownAt);
+        if (this.hasQuestionTimer()) {
+            question.responseMs = Math.min(question.responseMs, this.questionTime * 1000);
+        }
+        question.timeElapsed = question.responseMs / 1000;
+
+        if (question.isCorrect) {
+            this.score++;
+        }
+        this.streak = question.isCorrect ? this.streak + 1 : 0;
+
+        // In a mistakes round, ask missed questions again at the end
+        if (!question.isCorrect && this.settings.mistakesRound) {
+            this.questions.push(Mistakes.resetQuestion(question));
+        }
+
+        // In survival mode, a miss costs a life and every few correct answers level up
+        let levelledUp = false;
+        if (this.settings.practiceMode === 'survival') {
+            if (!question.isCorrect) {
+                this.lives--;
+            } else if (this.score % this.SURVIVAL_STEP === 0) {
+                this.levelUp();
+                levelledUp = true;
+            }
+        }
+
+        this.emit('answer', { question, streak: this.streak });
+        if (levelledUp) {
+            this.emit('levelUp', { level: this.level, questionTime: this.questionTime });
+        }
+
+        return question;
+    },
+
+    /**
+     * Make survival mode harder: a higher difficulty level and less time per question
+     */
+    levelUp: function() {
+        this.level++;
+        QuestionGenerator.currentDifficulty = Math.min(QuestionGenerator.DIFFICULTY_LEVELS, QuestionGenerator.currentDifficulty + 1);
+        this.questionTime = Math.max(this.SURVIVAL_MIN_TIME, Math.round(this.questionTime * this.SURVIVAL_TIME_FACTOR * 10) / 10);
+    },
+
+    /**
+     * Handle time running out
+     * Ends a sprint (leaving out the question that wasn't answered in time),
+     * otherwise submits whatever has been typed for the current question
+     * @param {string} text - Answer typed so far (optional)
+     */
+    timeout: function(text = '') {
+        if (this.settings.practiceMode === 'sprint') {
+            this.questions = this.questions.filter(q => q.isCorrect !== null);
+            this.finish();
+            return;
+        }
+        this.submitAnswer(text);
+    },
+
+    /**
+     * Move on after an answer: show the next question, or end the game
+     * when there are no questions left or survival has run out of lives
+     */
+    advance: function() {
+        if (this.finished) {
+            return;
+        }
+
+        const nextIndex = this.currentQuestionIndex + 1;
+        const outOfLives = this.settings.practiceMode === 'survival' && this.lives === 0;
+        if (outOfLives || (nextIndex >= this.questions.length && !this.generatesOnDemand())) {
+            this.finish();
+            return;
+        }
+
+        this.showQuestion(nextIndex);
+    },
+
+    /**
+     * Answer every question on the current worksheet page
+     * In a mistakes round the missed ones are shown again on a new page until all are right
+     * @param {Array} answers - One { text, firstKeyMs, responseMs } per question on the page
+     */
+    submitRound: function(answers) {
+        if (this.finished) {
+            return;
+        }
+
+        const roundQuestions = this.getRoundQuestions();
+        roundQuestions.forEach((question, offset) => {
+            const answer = answers[offset] || {};
+            question.userAnswer = Answers.parse(question, answer.text || '');
+            question.isCorrect = Answers.isCorrect(question, question.userAnswer);
+            question.timeElapsed = 0; // No timer on a worksheet
+
+            // Response times are still measured for the results breakdown
+            question.firstKeyMs = answer.firstKeyMs ?? null;
+            question.responseMs = answer.responseMs ?? null;
+
+            if (question.isCorrect) {
+                this.score++;
+            }
+        });
+
+        const missed = roundQuestions.filter(question => !question.isCorrect);
+        if (this.settings.mistakesRound && missed.length > 0) {
+            this.roundStart = this.questions.length;
+            this.roundNumber++;
+            this.questions.push(...missed.map(question => Mistakes.resetQuestion(question)));
+            this.emit('round', { questions: this.getRoundQuestions(), number: this.roundNumber });
+            return;
+        }
+
+        this.finish();
+    },
+
+    /**
+     * Pause the session so the paused time isn't counted in the response time
+     * @returns {boolean} - True if the session was paused (false if already paused or over)
+     */
+    pause: function() {
+        if (this.finished || this.paused) {
+            return false;
+        }
+        this.paused = true;
+        this.pausedAt = this.now();
+        return true;
+    },
+
+    /**
+     * Resume a paused session
+     * @returns {boolean} - True if the session was resumed
+     */
+    resume: function() {
+        if (!this.paused) {
+            return false;
+        }
+        this.paused = false;
+        this.questionShownAt += this.now() - this.pausedAt;
+        return true;
+    },
+
+    /**
+     * End the session and send the summary to the end listeners
+     */
+    finish: function() {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        this.emit('end', this.summarise());
+    },
+
+    /**
+     * Summarise the answers so far
+     * @returns {Object} - { settings, questions, score, total, correct, incorrect, unanswered, percentage,
+     *                      stars, longestStreak, level, lives, perMinute, averageTimes, slowest }
+     */
+    summarise: function() {
+        const questions = this.questions;
+        const percentage = questions.length > 0 ? (this.score / questions.length) * 100 : 0;
+
+        // Speed in a sprint
+        const perMinute = this.settings.practiceMode === 'sprint'
+            ? Math.round((this.score / (this.settings.sprintSeconds / 60)) * 10) / 10
+            : null;
+
+        // Average response time per operation and the slowest answers
+        const answered = questions.filter(q => q.userAnswer !== null && typeof q.responseMs === 'number');
+        const timesByOperation = {};
+        answered.forEach(q => {
+            (timesByOperation[q.operation] = timesByOperation[q.operation] || []).push(q.responseMs);
+        });
+        const averageTimes = {};
+        Object.keys(timesByOperation).forEach(operation => {
+            const times = timesByOperation[operation];
+            averageTimes[operation] = times.reduce((sum, time) => sum + time, 0) / times.length;
+        });
+        const slowest = [...answered]
+            .sort((a, b) => b.responseMs - a.responseMs)
+            .slice(0, this.SLOWEST_COUNT);
+
+        return {
+            settings: this.settings,
+            questions,
+            score: this.score,
+            total: questions.length,
+            correct: questions.filter(q => q.isCorrect).length,
+            incorrect: questions.filter(q => q.isCorrect === false && q.userAnswer !== null).length,
+            unanswered: questions.filter(q => q.userAnswer === null && q.isCorrect !== null).length,
+            percentage,
+            stars: this.getStarCount(percentage),
+            longestStreak: this.getLongestStreak(),
+            level: this.level,
+            lives: this.lives,
+            perMinute,
+            averageTimes,
+            slowest
+        };
+    },
+
+    /**
+     * Get the longest run of correct answers so far
+     * @returns {number} - Longest streak
+     */
+    getLongestStreak: function() {
+        let longest = 0;
+        let current = 0;
+        this.questions.forEach(q => {
+            current = q.isCorrect ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        });
+        return longest;
+    },
+
+    /**
+     * Get the star rating for a percentage score
+     * @param {number} percentage - Score percentage (0-100)
+     * @returns {number} - Number of stars (0-3)
+     */
+    getStarCount: function(percentage) {
+        if (percentage === 100) {
+            return 3;
+        } else if (percentage >= 75) {
+            return 2;
+        } else if (percentage >= 50) {
+            return 1;
+        }
+        return 0;
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * Game settings for Mira Maths
+ * A session only needs a plain settings object, so it can be created from the
+ * settings screen or from code (e.g. when embedding a drill in another page)
+ */
+
+export const Settings = {
+    // Time per question is multiplied by this when "Extra time" is chosen
+    EXTENDED_TIME_FACTOR: 3,
+
+    // Used for any setting that is left out
+    DEFAULTS: {
+        operations: ['addition', 'subtraction', 'multiplication'],
+        maxNumber: 20,
+        questionCount: 10,
+        timePerQuestion: 10,
+        timerMode: 'normal',
+        timerEnabled: true,
+        keypadMode: 'auto',
+        sprintSeconds: 60,
+        difficultyLevel: 4,
+        missingNumberPercent: 0,
+        divisionRemainders: false,
+        allowNegatives: false,
+        timesTables: [],
+        adaptive: false,
+        allowRepeats: false,
+        seed: '',
+        practiceMode: 'timed',
+        debugMode: false,
+        mistakesRound: false
+    },
+
+    /**
+     * Fill in the default for every setting that is missing
+     * @param {Object} settings - Settings (any subset of DEFAULTS)
+     * @returns {Object} - New settings object with every setting
+     */
+    withDefaults: function(settings = {}) {
+        return {
+            ...this.DEFAULTS,
+            operations: [...this.DEFAULTS.operations],
+            timesTables: [],
+            ...settings
+        };
+    },
+
+    /**
+     * Read the settings from the settings screen
+     * @returns {Object} - Settings object
+     */
+    readForm: function() {
+        // Get selected operations
+        const operations = [];
+        document.querySelectorAll('input[name="operation"]:checked').forEach(checkbox => {
+            operations.push(checkbox.value);
+        });
+
+        // Get max number
+        let maxNumber = 20;
+        const maxNumberRadio = document.querySelector('input[name="max-number"]:checked');
+        if (maxNumberRadio.value === 'custom') {
+            maxNumber = parseInt(document.getElementById('custom-max-number').value) || 20;
+        } else {
+            maxNumber = parseInt(maxNumberRadio.value);
+        }
+
+        // Get question count
+        let questionCount = 10;
+        const questionCountRadio = document.querySelector('input[name="question-count"]:checked');
+        if (questionCountRadio.value === 'custom') {
+            questionCount = parseInt(document.getElementById('custom-question-count').value) || 10;
+        } else {
+            questionCount = parseInt(questionCountRadio.value);
+        }
+
+        // Get time per question
+        let timePerQuestion = 10;
+        const timeRadio = document.querySelector('input[name="time-per-question"]:checked');
+        if (timeRadio) {
+            if (timeRadio.value === 'custom') {
+                timePerQuestion = parseInt(document.getElementById('custom-time').value) || 10;
+            } else {
+                timePerQuestion = parseInt(timeRadio.value);
+            }
+        }
+
+        // Get timer mode (extra time or no timer, e.g. for screen reader users)
+        const timerMode = document.getElementById('timer-mode').value;
+        if (timerMode === 'extended') {
+            timePerQuestion *= this.EXTENDED_TIME_FACTOR;
+        }
+        const timerEnabled = timerMode !== 'off';
+
+        // Get sprint length
+        const sprintRadio = document.querySelector('input[name="sprint-seconds"]:checked');
+        const sprintSeconds = sprintRadio ? parseInt(sprintRadio.value) : 60;
+
+        // Get on-screen keypad mode ('auto', 'on' or 'off')
+        const keypadMode = document.getElementById('keypad-mode').value;
+
+        // Get difficulty level
+        const difficultyLevel = parseInt(document.getElementById('difficulty-slider').value);
+
+        // Get chosen times tables (empty means the usual 1-10 range)
+        const timesTables = [];
+        document.querySelectorAll('input[name="times-table"]:checked').forEach(checkbox => {
+            timesTables.push(parseInt(checkbox.value));
+        });
+
+        // Get integers mode (negative numbers)
+        const allowNegatives = document.getElementById('allow-negatives').checked;
+
+        // Get division with remainders option
+        const divisionRemainders = document.getElementById('division-remainders').checked;
+
+        // Get share of missing number questions
+        const missingNumberRadio = document.querySelector('input[name="missing-number"]:checked');
+        const missingNumberPercent = missingNumberRadio ? parseInt(missingNumberRadio.value) : 0;
+
+        // Get adaptive mode
+        const adaptive = document.getElementById('adaptive').checked;
+
+        // Get whether questions may repeat when the settings allow fewer different questions than asked for
+        const allowRepeats = document.getElementById('allow-repeats').checked;
+
+        // Get seed (empty for a new random set, case-insensitive)
+        const seed = document.getElementById('seed-input').value.trim().toUpperCase();
+
+        return {
+            operations,
+            maxNumber,
+            questionCount,
+            timePerQuestion,
+            timerMode,
+            timerEnabled,
+            keypadMode,
+            sprintSeconds,
+            difficultyLevel,
+            missingNumberPercent,
+            divisionRemainders,
+            allowNegatives,
+            timesTables,
+            adaptive,
+            allowRepeats,
+            seed
+        };
+    }
+};
@@ -0,0 +1,152 @@
+/**
+ * Sound effects for Mira Maths
+ * Tones are synthesised with the Web Audio API, so no sound files are needed
+ */
+
+export const Sound = {
+    // Constants
+    STORAGE_KEY: 'miraMaths.sound',
+    DEFAULT_PREFERENCES: { volume: 0.5, muted: false },
+    MAX_GAIN: 0.3,          // Gain at full volume (synthesised tones are loud)
+
+    // Notes for each sound: frequency (Hz), start and duration (seconds), waveform
+    SOUNDS: {
+        warning: [
+            { frequency: 660, start: 0, duration: 0.12, type: 'sine' }
+        ],
+        danger: [
+            { frequency: 880, start: 0, duration: 0.1, type: 'square' },
+            { frequency: 880, start: 0.18, duration: 0.1, type: 'square' }
+        ],
+        correct: [
+            { frequency: 523, start: 0, duration: 0.1, type: 'triangle' },
+            { frequency: 659, start: 0.1, duration: 0.1, type: 'triangle' },
+            { frequency: 784, start: 0.2, duration: 0.2, type: 'triangle' }
+        ],
+        incorrect: [
+            { frequency: 330, start: 0, duration: 0.15, type: 'sawtooth' },
+            { frequency: 247, start: 0.15, duration: 0.25, type: 'sawtooth' }
+        ],
+        timesUp: [
+            { frequency: 587, start: 0, duration: 0.12, type: 'square' },
+            { frequency: 440, start: 0.14, duration: 0.12, type: 'square' },
+            { frequency: 294, start: 0.28, duration: 0.3, type: 'square' }
+        ]
+    },
+
+    // State
+    context: null,
+    preferences: null,
+
+    /**
+     * Load saved preferences and show them in the settings form
+     */
+    init: function() {
+        this.preferences = this.loadPreferences();
+        document.getElementById('sound-volume').value = Math.round(this.preferences.volume * 100);
+        document.getElementById('sound-mute').checked = this.preferences.muted;
+    },
+
+    /**
+     * Load saved sound preferences
+     * @returns {Object} - Preferences (volume from 0 to 1, muted)
+     */
+    loadPreferences: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return { ...this.DEFAULT_PREFERENCES, ...(saved && typeof saved === 'object' ? saved : {}) };
+        } catch (error) {
+            return { ...this.DEFAULT_PREFERENCES };
+        }
+    },
+
+    /**
+     * Save sound preferences
+     */
+    savePreferences: function() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.preferences));
+        } catch (error) {
+            // Storage full or unavailable - preferences last until the page is closed
+        }
+    },
+
+    /**
+     * Set the volume
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume: function(volume) {
+        this.preferences.volume = Math.min(1, Math.max(0, volume));
+        this.savePreferences();
+    },
+
+    /**
+     * Turn sound off or on
+     * @param {boolean} muted - True to mute
+     */
+    setMuted: function(muted) {
+        this.preferences.muted = muted;
+        this.savePreferences();
+    },
+
+    /**
+     * Get the audio context, creating it on first use
+     * Browsers only allow audio after a user action, which starting a game is
+     * @returns {AudioContext|null} - Audio context, or null if Web Audio isn't supported
+     */
+    getContext: function() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                return null;
+            }
+            this.context = new AudioContextClass();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(() => {
+                // Not allowed before the user interacts with the page - sounds stay silent until then
+            });
+        }
+        return this.context;
+    },
+
+    /**
+     * Play a sound effect
+     * @param {string} name - Sound name ('warning', 'danger', 'correct', 'incorrect' or 'timesUp')
+     */
+    play: function(name) {
+        const preferences = this.preferences || this.loadPreferences();
+        const notes = this.SOUNDS[name];
+        if (!notes || preferences.muted || preferences.volume === 0) {
+            return;
+        }
+
+        const context = this.getContext();
+        if (!context) {
+            return;
+        }
+
+        const peak = preferences.volume * this.MAX_GAIN;
+        const now = context.currentTime;
+
+        notes.forEach(note => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const start = now + note.start;
+            const end = start + note.duration;
+
+            oscillator.type = note.type;
+            oscillator.frequency.value = note.frequency;
+
+            // Short fade in and out so the notes don't click
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(peak, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(end);
+        });
+    }
+};
@@ -2,11 +2,15 @@
  * Timer module for Mira Maths
  */
 
-const Timer = {
+import { I18n } from './i18n.js';
+
+export const Timer = {
     // Timer properties
     timeRemaining: 0,
     totalTime: 0,
     timerId: null,
+    lastTick: 0,
+    paused: false,
     timerElement: null,
     callbacks: {},
     
@@ -36,14 +40,13 @@ const Timer = {
         }
         
         const tickRate = 100; // Update every 100ms for smooth animation
-        const startTime = Date.now();
-        let elapsed = 0;
+        this.lastTick = Date.now();
         
         this.timerId = setInterval(() => {
             // Calculate actual elapsed time to prevent drift
-            const currentElapsed = Date.now() - startTime;
-            const deltaTime = currentElapsed - elapsed;
-            elapsed = currentElapsed;
+            const now = Date.now();
+            const deltaTime = now - this.lastTick;
+            this.lastTick = now;
             
             this.timeRemaining -= deltaTime;
             
@@ -93,6 +96,35 @@ const Timer = {
         }
         this.warningTriggered = false;
         this.dangerTriggered = false;
+        this.paused = false;
+    },
+
+    /**
+     * Pause the timer, keeping the time remaining and the warnings already given
+     */
+    pause: function() {
+        if (!this.timerId) {
+            return;
+        }
+
+        // Count the time since the last tick
+        this.timeRemaining -= Date.now() - this.lastTick;
+        clearInterval(this.timerId);
+        this.timerId = null;
+        this.paused = true;
+        this.updateTimerBar();
+    },
+
+    /**
+     * Resume a paused timer from where it stopped
+     */
+    resume: function() {
+        if (!this.paused) {
+            return;
+        }
+
+        this.paused = false;
+        this.start();
     },
     
     /**
@@ -123,6 +155,14 @@ const Timer = {
         
         const percentRemaining = (this.timeRemaining / this.totalTime) * 100;
         this.timerElement.style.width = `${percentRemaining}%`;
+
+        // Expose the whole seconds left to screen readers
+        const seconds = this.getRemainingSeconds();
+        if (this.timerElement.getAttribute('aria-valuenow') !== String(seconds)) {
+            this.timerElement.setAttribute('aria-valuemax', Math.ceil(this.totalTime / 1000));
+            this.timerElement.setAttribute('aria-valuenow', seconds);
+            this.timerElement.setAttribute('aria-valuetext', I18n.plural('timer.secondsLeft', seconds));
+        }
     },
     
     /**
@@ -133,6 +173,14 @@ const Timer = {
         return Math.ceil(this.timeRemaining / 1000);
     },
     
+    /**
+     * Check if timer is paused
+     * @returns {boolean} - True if timer is paused
+     */
+    isPaused: function() {
+        return this.paused;
+    },
+
     /**
      * Check if timer is running
      * @returns {boolean} - True if timer is running
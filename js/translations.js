@@ -0,0 +1,1107 @@
+/**
+ * Translation bundles for Mira Maths
+ * Each language has the same keys as English; a missing key falls back to English
+ * Strings ending in .one/.other are plural forms used by I18n.plural
+ */
+
+export const Translations = {
+    en: {
+        'app.title': 'Mira Maths - Flash Practice',
+        'app.tagline': 'Flash Practice',
+
+        'operation.addition': 'Addition',
+        'operation.subtraction': 'Subtraction',
+        'operation.multiplication': 'Multiplication',
+        'operation.division': 'Division',
+        'operation.expressions': 'Order of Operations',
+        'operation.fractions': 'Fractions',
+        'operation.decimals': 'Decimals',
+
+        'question.simplify': 'Simplify {fraction}',
+
+        'common.back': '← Back',
+        'common.backLabel': 'Back',
+        'common.custom': 'Custom:',
+        'common.all': 'All',
+
+        'settings.title': 'Game Settings',
+        'settings.language': 'Language',
+        'settings.operations': 'Choose Operations',
+        'settings.addition': 'Addition (+)',
+        'settings.subtraction': 'Subtraction (-)',
+        'settings.multiplication': 'Multiplication (×)',
+        'settings.division': 'Division (÷)',
+        'settings.expressions': 'Order of Operations (3 + 4 × 2)',
+        'settings.fractions': 'Fractions (1/4 + 2/3)',
+        'settings.decimals': 'Decimals (2.5 + 1.75)',
+        'settings.remainders': 'Division with remainders (23 ÷ 4 = 5 r 3)',
+        'settings.negatives': 'Negative numbers (-3 + 7, 4 - 9, -6 × 3)',
+        'settings.timesTables': 'Times Tables',
+        'settings.timesTablesHint': 'Tick tables to practise only those for multiplication and division (up to 12 × the table). Leave all unticked for the usual tables up to 10.',
+        'settings.maxNumber': 'Maximum Number',
+        'settings.customMaxNumber': 'Custom maximum number',
+        'settings.questionCount': 'Number of Questions',
+        'settings.customQuestionCount': 'Custom number of questions',
+        'settings.allowRepeats': 'Allow repeated questions',
+        'settings.poolWarning.one': 'Only 1 different question is possible with these settings, so quizzes and worksheets will have 1 question unless repeats are allowed.',
+        'settings.poolWarning.other': 'Only {count} different questions are possible with these settings, so quizzes and worksheets will have {count} questions unless repeats are allowed.',
+        'settings.poolRepeats.one': 'Only 1 different question is possible with these settings, so quizzes and worksheets will ask it more than once.',
+        'settings.poolRepeats.other': 'Only {count} different questions are possible with these settings, so quizzes and worksheets will ask some more than once.',
+        'settings.timePerQuestion': 'Time Per Question (seconds)',
+        'settings.customTime': 'Custom seconds per question',
+        'settings.timer': 'Timer:',
+        'settings.timerNormal': 'Normal',
+        'settings.timerExtended': 'Extra time (×3)',
+        'settings.timerOff': 'Off',
+        'settings.timerHint': 'Extra time or no timer can help when using a screen reader.',
+        'settings.missingNumber': 'Missing Number Questions (□ + 5 = 12)',
+        'settings.missingNone': 'None',
+        'settings.difficulty': 'Difficulty Level',
+        'settings.difficultyLabel': 'Difficulty level',
+        'settings.easy': 'Easy',
+        'settings.hard': 'Hard',
+        'settings.adaptive': 'Adaptive (more practice on tricky facts)',
+        'settings.sprint': 'Sprint Length',
+        'settings.sprint60': '60 seconds',
+        'settings.sprint120': '120 seconds',
+        'settings.sprintHint': 'A sprint asks as many questions as you can answer before the time runs out. Survival keeps going, getting harder, until you lose all three lives.',
+        'settings.questionSet': 'Question Set',
+        'settings.seed': 'Seed:',
+        'settings.seedPlaceholder': 'Random',
+        'settings.seedHint': 'Enter a seed to get the same questions every time with the same settings.',
+        'settings.sound': 'Sound',
+        'settings.quiet': 'Quiet',
+        'settings.loud': 'Loud',
+        'settings.volume': 'Volume',
+        'settings.mute': 'Mute',
+        'settings.keypad': 'On-screen Keypad',
+        'settings.keypadMode': 'Keypad:',
+        'settings.keypadAuto': 'Automatic (touch screens)',
+        'settings.keypadOn': 'Always',
+        'settings.keypadOff': 'Never',
+        'settings.keypadHint': 'Large number buttons instead of the device keyboard, which can cover the question on tablets.',
+        'settings.print': 'Printable Worksheet',
+        'settings.printColumns': 'Columns:',
+        'settings.printAnswerKey': 'Answer key page',
+        'settings.printSeed': 'Seed footer',
+        'settings.printWorksheet': 'Print Worksheet',
+        'settings.startQuiz': 'Start Quiz',
+        'settings.startWorksheet': 'Start Worksheet',
+        'settings.startSprint': 'Start Sprint',
+        'settings.startSurvival': 'Start Survival',
+        'settings.debugMode': 'Debug Mode',
+        'settings.showProgress': 'My Progress',
+        'settings.showFacts': 'Fact Grid',
+        'settings.showBadges': 'Badges',
+        'settings.showRules': 'Difficulty Rules',
+
+        'facts.title': 'Fact Grid',
+        'facts.grid': 'Grid',
+        'facts.multiplication': 'Multiplication (1-12)',
+        'facts.addition': 'Addition (0-20)',
+        'facts.merge': 'Combine 3 × 4 and 4 × 3',
+        'facts.known': 'Known',
+        'facts.weak': 'Needs practice',
+        'facts.noData': 'Not practised yet',
+        'facts.hint': 'Tap a fact to practise it with its neighbours.',
+        'facts.notPractised': '{fact}: not practised yet',
+        'facts.stats': '{fact}: {correct}/{attempts} correct',
+        'facts.averageTime': '{fact}: {correct}/{attempts} correct, {seconds}s average',
+
+        'badges.title': 'Badges',
+        'badges.count': '{count} of {total} badges collected',
+        'badges.unlockedOn': 'Unlocked {date}',
+        'badges.locked': '{name} (locked): {description}',
+        'badges.new': 'New Badges!',
+        'badges.announce': 'Badge unlocked: {names}',
+        'badge.first-game.name': 'First Game',
+        'badge.first-game.description': 'Finish your first game.',
+        'badge.perfect-score.name': 'Perfect Score',
+        'badge.perfect-score.description': 'Get every question right in a game of 10 or more questions.',
+        'badge.streak-10.name': 'On a Roll',
+        'badge.streak-10.description': 'Answer 10 questions in a row correctly.',
+        'badge.streak-25.name': 'Unstoppable',
+        'badge.streak-25.description': 'Answer 25 questions in a row correctly.',
+        'badge.fast-average.name': 'Lightning Fast',
+        'badge.fast-average.description': 'Average under 2 seconds per correct answer in a game of 10 or more.',
+        'badge.sprint-30.name': 'Speedster',
+        'badge.sprint-30.description': 'Score 30 or more correct answers per minute in a sprint.',
+        'badge.survival-5.name': 'Survivor',
+        'badge.survival-5.description': 'Reach level 5 in survival mode.',
+        'badge.practice-week.name': 'Week Streak',
+        'badge.practice-week.description': 'Practise on 7 days in a row.',
+        'badge.tables-mastered.name': 'Table Master',
+        'badge.tables-mastered.description': 'Master every times table fact from 1 × 1 to 12 × 12.',
+        'badge.games-50.name': 'Dedicated',
+        'badge.games-50.description': 'Finish 50 games.',
+
+        'rules.title': 'Difficulty Rules',
+        'rules.hint': 'Choose what counts as easy for your class. The rules are kept on this device and used for every new game.',
+        'rules.levels': 'Question Levels',
+        'rules.levelsHint': 'Each addition, subtraction, multiplication and division question gets the level of the first rule it matches, from the top. Questions with negative numbers are rated without their signs and are at least level 2.',
+        'rules.condition.bothAtMost': 'Both numbers are N or less',
+        'rules.condition.eitherAtMost': 'One number is N or less',
+        'rules.condition.bothMultipleOf': 'Both numbers are multiples of N',
+        'rules.condition.eitherMultipleOf': 'One number is a multiple of N',
+        'rules.condition.answerMultipleOf': 'The answer is a multiple of N',
+        'rules.condition.answerAtMost': 'The answer is N or less',
+        'rules.condition.differenceAtMost': 'The numbers are at most N apart (0: doubles, 1: near doubles)',
+        'rules.condition.onesDigitMatch': 'One number is the ones digit of the other (16 + 6)',
+        'rules.condition.bridgesTen': 'Goes past a ten (8 + 5, 13 - 5)',
+        'rules.condition.staysWithinTen': 'Doesn\'t go past a ten (3 + 4, 16 - 6)',
+        'rules.conditionLabel': 'Condition of rule {number}',
+        'rules.valueLabel': 'N for rule {number}',
+        'rules.levelLabel': 'Level given by rule {number}',
+        'rules.moveUp': 'Move rule {number} up',
+        'rules.moveDown': 'Move rule {number} down',
+        'rules.remove': 'Remove rule {number}',
+        'rules.level1': 'Level 1 (easy)',
+        'rules.level2': 'Level 2 (medium)',
+        'rules.level3': 'Level 3 (hard)',
+        'rules.fallback': 'Any other question:',
+        'rules.addRule': 'Add Rule',
+        'rules.distribution': 'Level Mix',
+        'rules.distributionHint': 'The percentage of questions at each level for each difficulty setting.',
+        'rules.shareLabel': 'Percentage of level {level} questions at difficulty {difficulty}',
+        'rules.preview': 'Preview',
+        'rules.previewHint': 'Questions for the choices on the settings screen, with the level each one gets.',
+        'rules.previewButton': 'Show Preview',
+        'rules.previewSummary': 'Level 1: {level1} · Level 2: {level2} · Level 3: {level3}',
+        'rules.save': 'Save Rules',
+        'rules.export': 'Export',
+        'rules.import': 'Import',
+        'rules.reset': 'Reset to Defaults',
+        'rules.confirmReset': 'Replace your rules with the default ones?',
+        'rules.saved': 'Rules saved. New games will use them.',
+        'rules.imported': 'Rules imported. Press Save Rules to use them.',
+        'rules.resetDone': 'The default rules are back.',
+        'rules.errors.file': 'This isn\'t a Mira Maths difficulty rules file.',
+        'rules.errors.operations': 'Rule {number} needs at least one operation.',
+        'rules.errors.value': 'Rule {number} needs a whole number for N.',
+        'rules.errors.distribution': 'The level mix for difficulty {difficulty} needs percentages of 0 or more, with at least one above 0.',
+
+        'progress.title': 'My Progress',
+        'progress.operation': 'Operation',
+        'progress.maxNumber': 'Maximum Number',
+        'progress.groupBy': 'Group By',
+        'progress.day': 'Day',
+        'progress.week': 'Week',
+        'progress.empty': 'No practice saved yet. Finish a game to see your progress here!',
+        'progress.clear': 'Clear History',
+        'progress.confirmClear': 'Delete all saved practice history?',
+        'progress.score': 'Score',
+        'progress.stars': 'Stars',
+        'progress.averageTime': 'Average Time (seconds)',
+        'progress.weekOf': 'w/c {date}',
+
+        'game.question': 'Question',
+        'game.pause': '⏸ Pause',
+        'game.paused': 'Paused',
+        'game.resume': '▶ Resume',
+        'game.timeLeft': 'Time left',
+        'game.answer': 'Answer',
+        'game.remainder': 'Remainder',
+        'game.toggleSign': 'Make negative or positive',
+        'game.submit': 'Submit',
+        'game.correct': 'Correct!',
+        'game.incorrect': 'Incorrect!',
+        'game.timesUp': 'Time\'s up!',
+        'game.levelUp': 'Correct! Level {level}!',
+        'game.level': 'Level {level}',
+        'game.correctCount': 'Correct: {count}',
+        'game.lives.one': '{count} life left, level {level}',
+        'game.lives.other': '{count} lives left, level {level}',
+        'game.announceQuestion': 'Question {number}: {question}',
+        'game.announceQuestionOf': 'Question {number} of {total}: {question}',
+        'game.hurry.one': 'Hurry, {count} second left',
+        'game.hurry.other': 'Hurry, {count} seconds left',
+        'timer.secondsLeft.one': '{count} second left',
+        'timer.secondsLeft.other': '{count} seconds left',
+
+        'worksheet.title': 'Complete All Questions',
+        'worksheet.intro': 'Take your time and answer all questions below',
+        'worksheet.debug': 'Debug Mode: Difficulty levels shown',
+        'worksheet.mistakes': 'Nearly there! Try these ones again',
+        'worksheet.submit': 'Submit All Answers',
+        'worksheet.print': 'Print',
+        'worksheet.answerLabel': 'Question {number}: {question}',
+        'worksheet.toggleSign': 'Make answer {number} negative or positive',
+
+        'results.title': 'Practice Complete!',
+        'results.seed': 'Seed:',
+        'results.correct': 'Correct:',
+        'results.incorrect': 'Incorrect:',
+        'results.unanswered': 'Unanswered:',
+        'results.stars.one': '{count} star',
+        'results.stars.other': '{count} stars',
+        'results.speed': 'Speed',
+        'results.averageTime': 'Average time',
+        'results.slowest': 'Slowest answers',
+        'results.results': 'Results',
+        'results.wrong': '{number}. {question} Correct: {answer}, Your answer: {userAnswer}',
+        'results.noAnswer': 'No answer',
+        'results.sprint': '{score} correct in {seconds} seconds: {perMinute} per minute',
+        'results.sprintBest': 'Personal best: {best} per minute',
+        'results.survival': '{score} correct answers, reached level {level}',
+        'results.survivalBest': 'Personal best: {best} correct answers',
+        'results.newBest': 'New personal best!',
+        'results.mistakes': 'Practise Mistakes',
+        'results.mistakesIntro': 'Try the questions you missed again until you get them all right.',
+        'results.mistakesVariants': 'Add similar questions (7 × 8 → 8 × 7, 56 ÷ 7)',
+        'results.quiz': 'Quiz',
+        'results.worksheet': 'Worksheet',
+        'results.retry': 'Retry',
+        'results.newGame': 'Change Settings',
+
+        'keypad.minus': 'Minus',
+        'keypad.delete': 'Delete',
+        'keypad.remainder': 'Remainder',
+        'keypad.over': 'Over',
+        'keypad.next': 'Next',
+
+        'print.heading': 'Mira Maths - {title}',
+        'print.worksheet': 'Worksheet',
+        'print.answerKey': 'Answer Key',
+        'print.name': 'Name',
+        'print.date': 'Date',
+        'print.footer': 'Seed: {seed} · Maximum number: {maxNumber} · Difficulty: {difficulty}',
+
+        'update.available': 'A new version of Mira Maths is ready.',
+        'update.reload': 'Update Now',
+
+        'errors.noOperations': 'Please select at least one operation.',
+
+        'spoken.over': 'over',
+        'spoken.plus': 'plus',
+        'spoken.minus': 'minus',
+        'spoken.times': 'times',
+        'spoken.dividedBy': 'divided by',
+        'spoken.equals': 'equals',
+        'spoken.blank': 'blank'
+    },
+
+    fr: {
+        'app.title': 'Mira Maths - Calcul rapide',
+        'app.tagline': 'Calcul rapide',
+
+        'operation.addition': 'Addition',
+        'operation.subtraction': 'Soustraction',
+        'operation.multiplication': 'Multiplication',
+        'operation.division': 'Division',
+        'operation.expressions': 'Priorité des opérations',
+        'operation.fractions': 'Fractions',
+        'operation.decimals': 'Nombres décimaux',
+
+        'question.simplify': 'Simplifie {fraction}',
+
+        'common.back': '← Retour',
+        'common.backLabel': 'Retour',
+        'common.custom': 'Autre :',
+        'common.all': 'Tout',
+
+        'settings.title': 'Réglages du jeu',
+        'settings.language': 'Langue',
+        'settings.operations': 'Choisis les opérations',
+        'settings.addition': 'Addition (+)',
+        'settings.subtraction': 'Soustraction (-)',
+        'settings.multiplication': 'Multiplication (×)',
+        'settings.division': 'Division (÷)',
+        'settings.expressions': 'Priorité des opérations (3 + 4 × 2)',
+        'settings.fractions': 'Fractions (1/4 + 2/3)',
+        'settings.decimals': 'Nombres décimaux (2,5 + 1,75)',
+        'settings.remainders': 'Division avec reste (23 ÷ 4 = 5 r 3)',
+        'settings.negatives': 'Nombres négatifs (-3 + 7, 4 - 9, -6 × 3)',
+        'settings.timesTables': 'Tables de multiplication',
+        'settings.timesTablesHint': 'Coche des tables pour ne travailler qu\'elles en multiplication et en division (jusqu\'à 12 × la table). Ne coche rien pour les tables habituelles jusqu\'à 10.',
+        'settings.maxNumber': 'Nombre maximum',
+        'settings.customMaxNumber': 'Autre nombre maximum',
+        'settings.questionCount': 'Nombre de questions',
+        'settings.customQuestionCount': 'Autre nombre de questions',
+        'settings.allowRepeats': 'Autoriser les questions répétées',
+        'settings.poolWarning.one': 'Ces réglages ne permettent qu\'une seule question différente : les quiz et les fiches n\'auront donc qu\'une question, sauf si les répétitions sont autorisées.',
+        'settings.poolWarning.other': 'Ces réglages ne permettent que {count} questions différentes : les quiz et les fiches n\'auront donc que {count} questions, sauf si les répétitions sont autorisées.',
+        'settings.poolRepeats.one': 'Ces réglages ne permettent qu\'une seule question différente : elle sera posée plusieurs fois dans les quiz et les fiches.',
+        'settings.poolRepeats.other': 'Ces réglages ne permettent que {count} questions différentes : certaines seront posées plusieurs fois dans les quiz et les fiches.',
+        'settings.timePerQuestion': 'Temps par question (secondes)',
+        'settings.customTime': 'Autre nombre de secondes par question',
+        'settings.timer': 'Minuteur :',
+        'settings.timerNormal': 'Normal',
+        'settings.timerExtended': 'Temps supplémentaire (×3)',
+        'settings.timerOff': 'Désactivé',
+        'settings.timerHint': 'Plus de temps ou pas de minuteur peut aider avec un lecteur d\'écran.',
+        'settings.missingNumber': 'Questions à trou (□ + 5 = 12)',
+        'settings.missingNone': 'Aucune',
+        'settings.difficulty': 'Niveau de difficulté',
+        'settings.difficultyLabel': 'Niveau de difficulté',
+        'settings.easy': 'Facile',
+        'settings.hard': 'Difficile',
+        'settings.adaptive': 'Adaptatif (plus d\'entraînement sur les calculs difficiles)',
+        'settings.sprint': 'Durée du sprint',
+        'settings.sprint60': '60 secondes',
+        'settings.sprint120': '120 secondes',
+        'settings.sprintHint': 'Un sprint pose autant de questions que tu peux en répondre avant la fin du temps. La survie continue, de plus en plus difficile, jusqu\'à ce que tu perdes tes trois vies.',
+        'settings.questionSet': 'Série de questions',
+        'settings.seed': 'Code :',
+        'settings.seedPlaceholder': 'Au hasard',
+        'settings.seedHint': 'Saisis un code pour avoir les mêmes questions à chaque fois avec les mêmes réglages.',
+        'settings.sound': 'Son',
+        'settings.quiet': 'Doux',
+        'settings.loud': 'Fort',
+        'settings.volume': 'Volume',
+        'settings.mute': 'Couper le son',
+        'settings.keypad': 'Pavé numérique à l\'écran',
+        'settings.keypadMode': 'Pavé :',
+        'settings.keypadAuto': 'Automatique (écrans tactiles)',
+        'settings.keypadOn': 'Toujours',
+        'settings.keypadOff': 'Jamais',
+        'settings.keypadHint': 'De grandes touches à la place du clavier de l\'appareil, qui peut cacher la question sur les tablettes.',
+        'settings.print': 'Fiche à imprimer',
+        'settings.printColumns': 'Colonnes :',
+        'settings.printAnswerKey': 'Page de corrigé',
+        'settings.printSeed': 'Code en bas de page',
+        'settings.printWorksheet': 'Imprimer la fiche',
+        'settings.startQuiz': 'Commencer le quiz',
+        'settings.startWorksheet': 'Commencer la fiche',
+        'settings.startSprint': 'Commencer le sprint',
+        'settings.startSurvival': 'Commencer la survie',
+        'settings.debugMode': 'Mode débogage',
+        'settings.showProgress': 'Mes progrès',
+        'settings.showFacts': 'Grille des calculs',
+        'settings.showBadges': 'Badges',
+        'settings.showRules': 'Règles de difficulté',
+
+        'facts.title': 'Grille des calculs',
+        'facts.grid': 'Grille',
+        'facts.multiplication': 'Multiplication (1-12)',
+        'facts.addition': 'Addition (0-20)',
+        'facts.merge': 'Regrouper 3 × 4 et 4 × 3',
+        'facts.known': 'Connu',
+        'facts.weak': 'À travailler',
+        'facts.noData': 'Pas encore travaillé',
+        'facts.hint': 'Touche un calcul pour l\'entraîner avec ses voisins.',
+        'facts.notPractised': '{fact} : pas encore travaillé',
+        'facts.stats': '{fact} : {correct}/{attempts} justes',
+        'facts.averageTime': '{fact} : {correct}/{attempts} justes, {seconds} s en moyenne',
+
+        'badges.title': 'Badges',
+        'badges.count': '{count} badges sur {total} obtenus',
+        'badges.unlockedOn': 'Obtenu le {date}',
+        'badges.locked': '{name} (verrouillé) : {description}',
+        'badges.new': 'Nouveaux badges !',
+        'badges.announce': 'Badge obtenu : {names}',
+        'badge.first-game.name': 'Première partie',
+        'badge.first-game.description': 'Termine ta première partie.',
+        'badge.perfect-score.name': 'Sans faute',
+        'badge.perfect-score.description': 'Réponds juste à toutes les questions d\'une partie de 10 questions ou plus.',
+        'badge.streak-10.name': 'En forme',
+        'badge.streak-10.description': 'Réponds juste à 10 questions de suite.',
+        'badge.streak-25.name': 'Inarrêtable',
+        'badge.streak-25.description': 'Réponds juste à 25 questions de suite.',
+        'badge.fast-average.name': 'Éclair',
+        'badge.fast-average.description': 'Moins de 2 secondes en moyenne par bonne réponse dans une partie de 10 questions ou plus.',
+        'badge.sprint-30.name': 'Fusée',
+        'badge.sprint-30.description': 'Obtiens 30 bonnes réponses ou plus par minute dans un sprint.',
+        'badge.survival-5.name': 'Survivant',
+        'badge.survival-5.description': 'Atteins le niveau 5 en mode survie.',
+        'badge.practice-week.name': 'Semaine complète',
+        'badge.practice-week.description': 'Entraîne-toi 7 jours de suite.',
+        'badge.tables-mastered.name': 'As des tables',
+        'badge.tables-mastered.description': 'Maîtrise tous les calculs des tables, de 1 × 1 à 12 × 12.',
+        'badge.games-50.name': 'Persévérant',
+        'badge.games-50.description': 'Termine 50 parties.',
+
+        'rules.title': 'Règles de difficulté',
+        'rules.hint': 'Choisis ce qui est facile pour ta classe. Les règles sont gardées sur cet appareil et servent pour chaque nouvelle partie.',
+        'rules.levels': 'Niveaux des questions',
+        'rules.levelsHint': 'Chaque question d\'addition, de soustraction, de multiplication ou de division reçoit le niveau de la première règle qui lui correspond, en partant du haut. Les questions avec des nombres négatifs sont évaluées sans leurs signes et sont au moins de niveau 2.',
+        'rules.condition.bothAtMost': 'Les deux nombres valent N ou moins',
+        'rules.condition.eitherAtMost': 'Un des nombres vaut N ou moins',
+        'rules.condition.bothMultipleOf': 'Les deux nombres sont des multiples de N',
+        'rules.condition.eitherMultipleOf': 'Un des nombres est un multiple de N',
+        'rules.condition.answerMultipleOf': 'La réponse est un multiple de N',
+        'rules.condition.answerAtMost': 'La réponse vaut N ou moins',
+        'rules.condition.differenceAtMost': 'Les nombres ont au plus N d\'écart (0 : doubles, 1 : presque doubles)',
+        'rules.condition.onesDigitMatch': 'Un nombre est le chiffre des unités de l\'autre (16 + 6)',
+        'rules.condition.bridgesTen': 'Passe une dizaine (8 + 5, 13 - 5)',
+        'rules.condition.staysWithinTen': 'Ne passe pas de dizaine (3 + 4, 16 - 6)',
+        'rules.conditionLabel': 'Condition de la règle {number}',
+        'rules.valueLabel': 'N pour la règle {number}',
+        'rules.levelLabel': 'Niveau donné par la règle {number}',
+        'rules.moveUp': 'Monter la règle {number}',
+        'rules.moveDown': 'Descendre la règle {number}',
+        'rules.remove': 'Supprimer la règle {number}',
+        'rules.level1': 'Niveau 1 (facile)',
+        'rules.level2': 'Niveau 2 (moyen)',
+        'rules.level3': 'Niveau 3 (difficile)',
+        'rules.fallback': 'Toute autre question :',
+        'rules.addRule': 'Ajouter une règle',
+        'rules.distribution': 'Mélange des niveaux',
+        'rules.distributionHint': 'Le pourcentage de questions de chaque niveau pour chaque réglage de difficulté.',
+        'rules.shareLabel': 'Pourcentage de questions de niveau {level} à la difficulté {difficulty}',
+        'rules.preview': 'Aperçu',
+        'rules.previewHint': 'Des questions pour les choix de l\'écran des réglages, avec le niveau de chacune.',
+        'rules.previewButton': 'Voir l\'aperçu',
+        'rules.previewSummary': 'Niveau 1 : {level1} · Niveau 2 : {level2} · Niveau 3 : {level3}',
+        'rules.save': 'Enregistrer les règles',
+        'rules.export': 'Exporter',
+        'rules.import': 'Importer',
+        'rules.reset': 'Règles par défaut',
+        'rules.confirmReset': 'Remplacer tes règles par celles par défaut ?',
+        'rules.saved': 'Règles enregistrées. Les nouvelles parties les utiliseront.',
+        'rules.imported': 'Règles importées. Appuie sur Enregistrer les règles pour les utiliser.',
+        'rules.resetDone': 'Les règles par défaut sont de retour.',
+        'rules.errors.file': 'Ce n\'est pas un fichier de règles de difficulté Mira Maths.',
+        'rules.errors.operations': 'La règle {number} a besoin d\'au moins une opération.',
+        'rules.errors.value': 'La règle {number} a besoin d\'un nombre entier pour N.',
+        'rules.errors.distribution': 'Le mélange des niveaux pour la difficulté {difficulty} a besoin de pourcentages de 0 ou plus, dont au moins un au-dessus de 0.',
+
+        'progress.title': 'Mes progrès',
+        'progress.operation': 'Opération',
+        'progress.maxNumber': 'Nombre maximum',
+        'progress.groupBy': 'Regrouper par',
+        'progress.day': 'Jour',
+        'progress.week': 'Semaine',
+        'progress.empty': 'Aucun entraînement enregistré. Termine une partie pour voir tes progrès ici !',
+        'progress.clear': 'Effacer l\'historique',
+        'progress.confirmClear': 'Supprimer tout l\'historique d\'entraînement ?',
+        'progress.score': 'Score',
+        'progress.stars': 'Étoiles',
+        'progress.averageTime': 'Temps moyen (secondes)',
+        'progress.weekOf': 'sem. du {date}',
+
+        'game.question': 'Question',
+        'game.pause': '⏸ Pause',
+        'game.paused': 'En pause',
+        'game.resume': '▶ Reprendre',
+        'game.timeLeft': 'Temps restant',
+        'game.answer': 'Réponse',
+        'game.remainder': 'Reste',
+        'game.toggleSign': 'Rendre négatif ou positif',
+        'game.submit': 'Valider',
+        'game.correct': 'Juste !',
+        'game.incorrect': 'Faux !',
+        'game.timesUp': 'Temps écoulé !',
+        'game.levelUp': 'Juste ! Niveau {level} !',
+        'game.level': 'Niveau {level}',
+        'game.correctCount': 'Justes : {count}',
+        'game.lives.one': '{count} vie restante, niveau {level}',
+        'game.lives.other': '{count} vies restantes, niveau {level}',
+        'game.announceQuestion': 'Question {number} : {question}',
+        'game.announceQuestionOf': 'Question {number} sur {total} : {question}',
+        'game.hurry.one': 'Vite, plus que {count} seconde',
+        'game.hurry.other': 'Vite, plus que {count} secondes',
+        'timer.secondsLeft.one': '{count} seconde restante',
+        'timer.secondsLeft.other': '{count} secondes restantes',
+
+        'worksheet.title': 'Réponds à toutes les questions',
+        'worksheet.intro': 'Prends ton temps et réponds à toutes les questions ci-dessous',
+        'worksheet.debug': 'Mode débogage : niveaux de difficulté affichés',
+        'worksheet.mistakes': 'Presque fini ! Essaie encore celles-ci',
+        'worksheet.submit': 'Valider toutes les réponses',
+        'worksheet.print': 'Imprimer',
+        'worksheet.answerLabel': 'Question {number} : {question}',
+        'worksheet.toggleSign': 'Rendre la réponse {number} négative ou positive',
+
+        'results.title': 'Entraînement terminé !',
+        'results.seed': 'Code :',
+        'results.correct': 'Justes :',
+        'results.incorrect': 'Fausses :',
+        'results.unanswered': 'Sans réponse :',
+        'results.stars.one': '{count} étoile',
+        'results.stars.other': '{count} étoiles',
+        'results.speed': 'Vitesse',
+        'results.averageTime': 'Temps moyen',
+        'results.slowest': 'Réponses les plus lentes',
+        'results.results': 'Résultats',
+        'results.wrong': '{number}. {question} Bonne réponse : {answer}, ta réponse : {userAnswer}',
+        'results.noAnswer': 'Pas de réponse',
+        'results.sprint': '{score} justes en {seconds} secondes : {perMinute} par minute',
+        'results.sprintBest': 'Record personnel : {best} par minute',
+        'results.survival': '{score} bonnes réponses, niveau {level} atteint',
+        'results.survivalBest': 'Record personnel : {best} bonnes réponses',
+        'results.newBest': 'Nouveau record personnel !',
+        'results.mistakes': 'Revoir mes erreurs',
+        'results.mistakesIntro': 'Refais les questions ratées jusqu\'à ce qu\'elles soient toutes justes.',
+        'results.mistakesVariants': 'Ajouter des questions proches (7 × 8 → 8 × 7, 56 ÷ 7)',
+        'results.quiz': 'Quiz',
+        'results.worksheet': 'Fiche',
+        'results.retry': 'Rejouer',
+        'results.newGame': 'Changer les réglages',
+
+        'keypad.minus': 'Moins',
+        'keypad.delete': 'Effacer',
+        'keypad.remainder': 'Reste',
+        'keypad.over': 'Sur',
+        'keypad.next': 'Suivant',
+
+        'print.heading': 'Mira Maths - {title}',
+        'print.worksheet': 'Fiche',
+        'print.answerKey': 'Corrigé',
+        'print.name': 'Nom',
+        'print.date': 'Date',
+        'print.footer': 'Code : {seed} · Nombre maximum : {maxNumber} · Difficulté : {difficulty}',
+
+        'update.available': 'Une nouvelle version de Mira Maths est prête.',
+        'update.reload': 'Mettre à jour',
+
+        'errors.noOperations': 'Choisis au moins une opération.',
+
+        'spoken.over': 'sur',
+        'spoken.plus': 'plus',
+        'spoken.minus': 'moins',
+        'spoken.times': 'fois',
+        'spoken.dividedBy': 'divisé par',
+        'spoken.equals': 'égale',
+        'spoken.blank': 'trou'
+    },
+
+    de: {
+        'app.title': 'Mira Maths - Kopfrechnen',
+        'app.tagline': 'Kopfrechnen',
+
+        'operation.addition': 'Addition',
+        'operation.subtraction': 'Subtraktion',
+        'operation.multiplication': 'Multiplikation',
+        'operation.division': 'Division',
+        'operation.expressions': 'Punkt vor Strich',
+        'operation.fractions': 'Brüche',
+        'operation.decimals': 'Dezimalzahlen',
+
+        'question.simplify': 'Kürze {fraction}',
+
+        'common.back': '← Zurück',
+        'common.backLabel': 'Zurück',
+        'common.custom': 'Eigene:',
+        'common.all': 'Alle',
+
+        'settings.title': 'Spieleinstellungen',
+        'settings.language': 'Sprache',
+        'settings.operations': 'Rechenarten wählen',
+        'settings.addition': 'Addition (+)',
+        'settings.subtraction': 'Subtraktion (-)',
+        'settings.multiplication': 'Multiplikation (·)',
+        'settings.division': 'Division (:)',
+        'settings.expressions': 'Punkt vor Strich (3 + 4 · 2)',
+        'settings.fractions': 'Brüche (1/4 + 2/3)',
+        'settings.decimals': 'Dezimalzahlen (2,5 + 1,75)',
+        'settings.remainders': 'Division mit Rest (23 : 4 = 5 r 3)',
+        'settings.negatives': 'Negative Zahlen (-3 + 7, 4 - 9, -6 · 3)',
+        'settings.timesTables': 'Einmaleins',
+        'settings.timesTablesHint': 'Wähle Reihen aus, um nur diese beim Malnehmen und Teilen zu üben (bis 12 · die Reihe). Ohne Auswahl wird das übliche Einmaleins bis 10 geübt.',
+        'settings.maxNumber': 'Höchste Zahl',
+        'settings.customMaxNumber': 'Eigene höchste Zahl',
+        'settings.questionCount': 'Anzahl der Aufgaben',
+        'settings.customQuestionCount': 'Eigene Anzahl der Aufgaben',
+        'settings.allowRepeats': 'Wiederholte Aufgaben erlauben',
+        'settings.poolWarning.one': 'Mit diesen Einstellungen gibt es nur 1 verschiedene Aufgabe, deshalb haben Quiz und Arbeitsblatt nur 1 Aufgabe, außer Wiederholungen sind erlaubt.',
+        'settings.poolWarning.other': 'Mit diesen Einstellungen gibt es nur {count} verschiedene Aufgaben, deshalb haben Quiz und Arbeitsblatt nur {count} Aufgaben, außer Wiederholungen sind erlaubt.',
+        'settings.poolRepeats.one': 'Mit diesen Einstellungen gibt es nur 1 verschiedene Aufgabe, deshalb kommt sie in Quiz und Arbeitsblatt mehrmals dran.',
+        'settings.poolRepeats.other': 'Mit diesen Einstellungen gibt es nur {count} verschiedene Aufgaben, deshalb kommen manche in Quiz und Arbeitsblatt mehrmals dran.',
+        'settings.timePerQuestion': 'Zeit pro Aufgabe (Sekunden)',
+        'settings.customTime': 'Eigene Sekunden pro Aufgabe',
+        'settings.timer': 'Zeitmesser:',
+        'settings.timerNormal': 'Normal',
+        'settings.timerExtended': 'Mehr Zeit (×3)',
+        'settings.timerOff': 'Aus',
+        'settings.timerHint': 'Mehr Zeit oder kein Zeitmesser kann bei der Nutzung eines Screenreaders helfen.',
+        'settings.missingNumber': 'Platzhalteraufgaben (□ + 5 = 12)',
+        'settings.missingNone': 'Keine',
+        'settings.difficulty': 'Schwierigkeit',
+        'settings.difficultyLabel': 'Schwierigkeit',
+        'settings.easy': 'Leicht',
+        'settings.hard': 'Schwer',
+        'settings.adaptive': 'Anpassend (mehr Übung bei kniffligen Aufgaben)',
+        'settings.sprint': 'Sprintlänge',
+        'settings.sprint60': '60 Sekunden',
+        'settings.sprint120': '120 Sekunden',
+        'settings.sprintHint': 'Beim Sprint beantwortest du so viele Aufgaben wie möglich, bis die Zeit abläuft. Überleben geht immer weiter und wird schwerer, bis du alle drei Leben verloren hast.',
+        'settings.questionSet': 'Aufgabensatz',
+        'settings.seed': 'Code:',
+        'settings.seedPlaceholder': 'Zufällig',
+        'settings.seedHint': 'Gib einen Code ein, um mit denselben Einstellungen immer dieselben Aufgaben zu bekommen.',
+        'settings.sound': 'Ton',
+        'settings.quiet': 'Leise',
+        'settings.loud': 'Laut',
+        'settings.volume': 'Lautstärke',
+        'settings.mute': 'Stumm',
+        'settings.keypad': 'Ziffernblock auf dem Bildschirm',
+        'settings.keypadMode': 'Ziffernblock:',
+        'settings.keypadAuto': 'Automatisch (Touchscreens)',
+        'settings.keypadOn': 'Immer',
+        'settings.keypadOff': 'Nie',
+        'settings.keypadHint': 'Große Zifferntasten statt der Gerätetastatur, die auf Tablets die Aufgabe verdecken kann.',
+        'settings.print': 'Arbeitsblatt drucken',
+        'settings.printColumns': 'Spalten:',
+        'settings.printAnswerKey': 'Lösungsblatt',
+        'settings.printSeed': 'Code in der Fußzeile',
+        'settings.printWorksheet': 'Arbeitsblatt drucken',
+        'settings.startQuiz': 'Quiz starten',
+        'settings.startWorksheet': 'Arbeitsblatt starten',
+        'settings.startSprint': 'Sprint starten',
+        'settings.startSurvival': 'Überleben starten',
+        'settings.debugMode': 'Debug-Modus',
+        'settings.showProgress': 'Mein Fortschritt',
+        'settings.showFacts': 'Aufgabengitter',
+        'settings.showBadges': 'Abzeichen',
+        'settings.showRules': 'Schwierigkeitsregeln',
+
+        'facts.title': 'Aufgabengitter',
+        'facts.grid': 'Gitter',
+        'facts.multiplication': 'Multiplikation (1-12)',
+        'facts.addition': 'Addition (0-20)',
+        'facts.merge': '3 · 4 und 4 · 3 zusammenfassen',
+        'facts.known': 'Gekonnt',
+        'facts.weak': 'Üben',
+        'facts.noData': 'Noch nicht geübt',
+        'facts.hint': 'Tippe auf eine Aufgabe, um sie mit ihren Nachbarn zu üben.',
+        'facts.notPractised': '{fact}: noch nicht geübt',
+        'facts.stats': '{fact}: {correct}/{attempts} richtig',
+        'facts.averageTime': '{fact}: {correct}/{attempts} richtig, im Schnitt {seconds} s',
+
+        'badges.title': 'Abzeichen',
+        'badges.count': '{count} von {total} Abzeichen gesammelt',
+        'badges.unlockedOn': 'Erhalten am {date}',
+        'badges.locked': '{name} (gesperrt): {description}',
+        'badges.new': 'Neue Abzeichen!',
+        'badges.announce': 'Abzeichen erhalten: {names}',
+        'badge.first-game.name': 'Erstes Spiel',
+        'badge.first-game.description': 'Beende dein erstes Spiel.',
+        'badge.perfect-score.name': 'Fehlerfrei',
+        'badge.perfect-score.description': 'Beantworte in einem Spiel mit 10 oder mehr Aufgaben alle richtig.',
+        'badge.streak-10.name': 'In Fahrt',
+        'badge.streak-10.description': 'Beantworte 10 Aufgaben hintereinander richtig.',
+        'badge.streak-25.name': 'Unaufhaltsam',
+        'badge.streak-25.description': 'Beantworte 25 Aufgaben hintereinander richtig.',
+        'badge.fast-average.name': 'Blitzschnell',
+        'badge.fast-average.description': 'Im Schnitt unter 2 Sekunden pro richtiger Antwort in einem Spiel mit 10 oder mehr Aufgaben.',
+        'badge.sprint-30.name': 'Raser',
+        'badge.sprint-30.description': 'Schaffe im Sprint 30 oder mehr richtige Antworten pro Minute.',
+        'badge.survival-5.name': 'Überlebenskünstler',
+        'badge.survival-5.description': 'Erreiche Level 5 im Überlebensmodus.',
+        'badge.practice-week.name': 'Wochenserie',
+        'badge.practice-week.description': 'Übe an 7 Tagen hintereinander.',
+        'badge.tables-mastered.name': 'Einmaleins-Profi',
+        'badge.tables-mastered.description': 'Beherrsche alle Einmaleinsaufgaben von 1 · 1 bis 12 · 12.',
+        'badge.games-50.name': 'Ausdauernd',
+        'badge.games-50.description': 'Beende 50 Spiele.',
+
+        'rules.title': 'Schwierigkeitsregeln',
+        'rules.hint': 'Lege fest, was für deine Klasse leicht ist. Die Regeln bleiben auf diesem Gerät und gelten für jedes neue Spiel.',
+        'rules.levels': 'Stufen der Aufgaben',
+        'rules.levelsHint': 'Jede Plus-, Minus-, Mal- und Geteiltaufgabe bekommt die Stufe der ersten passenden Regel, von oben gezählt. Aufgaben mit negativen Zahlen werden ohne Vorzeichen bewertet und sind mindestens Stufe 2.',
+        'rules.condition.bothAtMost': 'Beide Zahlen sind höchstens N',
+        'rules.condition.eitherAtMost': 'Eine Zahl ist höchstens N',
+        'rules.condition.bothMultipleOf': 'Beide Zahlen sind Vielfache von N',
+        'rules.condition.eitherMultipleOf': 'Eine Zahl ist ein Vielfaches von N',
+        'rules.condition.answerMultipleOf': 'Das Ergebnis ist ein Vielfaches von N',
+        'rules.condition.answerAtMost': 'Das Ergebnis ist höchstens N',
+        'rules.condition.differenceAtMost': 'Die Zahlen liegen höchstens N auseinander (0: Verdopplungen, 1: Fast-Verdopplungen)',
+        'rules.condition.onesDigitMatch': 'Eine Zahl ist die Einerstelle der anderen (16 + 6)',
+        'rules.condition.bridgesTen': 'Mit Zehnerübergang (8 + 5, 13 - 5)',
+        'rules.condition.staysWithinTen': 'Ohne Zehnerübergang (3 + 4, 16 - 6)',
+        'rules.conditionLabel': 'Bedingung von Regel {number}',
+        'rules.valueLabel': 'N für Regel {number}',
+        'rules.levelLabel': 'Stufe von Regel {number}',
+        'rules.moveUp': 'Regel {number} nach oben',
+        'rules.moveDown': 'Regel {number} nach unten',
+        'rules.remove': 'Regel {number} entfernen',
+        'rules.level1': 'Stufe 1 (leicht)',
+        'rules.level2': 'Stufe 2 (mittel)',
+        'rules.level3': 'Stufe 3 (schwer)',
+        'rules.fallback': 'Alle anderen Aufgaben:',
+        'rules.addRule': 'Regel hinzufügen',
+        'rules.distribution': 'Mischung der Stufen',
+        'rules.distributionHint': 'Der Prozentsatz der Aufgaben jeder Stufe für jede Schwierigkeit.',
+        'rules.shareLabel': 'Prozent Aufgaben der Stufe {level} bei Schwierigkeit {difficulty}',
+        'rules.preview': 'Vorschau',
+        'rules.previewHint': 'Aufgaben für die Auswahl auf der Einstellungsseite, mit der Stufe jeder Aufgabe.',
+        'rules.previewButton': 'Vorschau zeigen',
+        'rules.previewSummary': 'Stufe 1: {level1} · Stufe 2: {level2} · Stufe 3: {level3}',
+        'rules.save': 'Regeln speichern',
+        'rules.export': 'Exportieren',
+        'rules.import': 'Importieren',
+        'rules.reset': 'Standardregeln',
+        'rules.confirmReset': 'Deine Regeln durch die Standardregeln ersetzen?',
+        'rules.saved': 'Regeln gespeichert. Neue Spiele verwenden sie.',
+        'rules.imported': 'Regeln importiert. Drücke Regeln speichern, um sie zu verwenden.',
+        'rules.resetDone': 'Die Standardregeln sind wieder da.',
+        'rules.errors.file': 'Das ist keine Datei mit Mira-Maths-Schwierigkeitsregeln.',
+        'rules.errors.operations': 'Regel {number} braucht mindestens eine Rechenart.',
+        'rules.errors.value': 'Regel {number} braucht eine ganze Zahl für N.',
+        'rules.errors.distribution': 'Die Mischung der Stufen für Schwierigkeit {difficulty} braucht Prozentsätze von 0 oder mehr, mindestens einer über 0.',
+
+        'progress.title': 'Mein Fortschritt',
+        'progress.operation': 'Rechenart',
+        'progress.maxNumber': 'Höchste Zahl',
+        'progress.groupBy': 'Gruppieren nach',
+        'progress.day': 'Tag',
+        'progress.week': 'Woche',
+        'progress.empty': 'Noch nichts gespeichert. Beende ein Spiel, um hier deinen Fortschritt zu sehen!',
+        'progress.clear': 'Verlauf löschen',
+        'progress.confirmClear': 'Den gesamten gespeicherten Übungsverlauf löschen?',
+        'progress.score': 'Ergebnis',
+        'progress.stars': 'Sterne',
+        'progress.averageTime': 'Durchschnittszeit (Sekunden)',
+        'progress.weekOf': 'Woche ab {date}',
+
+        'game.question': 'Aufgabe',
+        'game.pause': '⏸ Pause',
+        'game.paused': 'Pausiert',
+        'game.resume': '▶ Weiter',
+        'game.timeLeft': 'Verbleibende Zeit',
+        'game.answer': 'Antwort',
+        'game.remainder': 'Rest',
+        'game.toggleSign': 'Negativ oder positiv machen',
+        'game.submit': 'Prüfen',
+        'game.correct': 'Richtig!',
+        'game.incorrect': 'Falsch!',
+        'game.timesUp': 'Zeit ist um!',
+        'game.levelUp': 'Richtig! Level {level}!',
+        'game.level': 'Level {level}',
+        'game.correctCount': 'Richtig: {count}',
+        'game.lives.one': 'Noch {count} Leben, Level {level}',
+        'game.lives.other': 'Noch {count} Leben, Level {level}',
+        'game.announceQuestion': 'Aufgabe {number}: {question}',
+        'game.announceQuestionOf': 'Aufgabe {number} von {total}: {question}',
+        'game.hurry.one': 'Schnell, noch {count} Sekunde',
+        'game.hurry.other': 'Schnell, noch {count} Sekunden',
+        'timer.secondsLeft.one': 'Noch {count} Sekunde',
+        'timer.secondsLeft.other': 'Noch {count} Sekunden',
+
+        'worksheet.title': 'Alle Aufgaben lösen',
+        'worksheet.intro': 'Lass dir Zeit und beantworte alle Aufgaben unten',
+        'worksheet.debug': 'Debug-Modus: Schwierigkeitsstufen werden angezeigt',
+        'worksheet.mistakes': 'Fast geschafft! Versuche diese noch einmal',
+        'worksheet.submit': 'Alle Antworten prüfen',
+        'worksheet.print': 'Drucken',
+        'worksheet.answerLabel': 'Aufgabe {number}: {question}',
+        'worksheet.toggleSign': 'Antwort {number} negativ oder positiv machen',
+
+        'results.title': 'Übung beendet!',
+        'results.seed': 'Code:',
+        'results.correct': 'Richtig:',
+        'results.incorrect': 'Falsch:',
+        'results.unanswered': 'Unbeantwortet:',
+        'results.stars.one': '{count} Stern',
+        'results.stars.other': '{count} Sterne',
+        'results.speed': 'Tempo',
+        'results.averageTime': 'Durchschnittszeit',
+        'results.slowest': 'Langsamste Antworten',
+        'results.results': 'Ergebnisse',
+        'results.wrong': '{number}. {question} Richtig: {answer}, deine Antwort: {userAnswer}',
+        'results.noAnswer': 'Keine Antwort',
+        'results.sprint': '{score} richtig in {seconds} Sekunden: {perMinute} pro Minute',
+        'results.sprintBest': 'Persönlicher Rekord: {best} pro Minute',
+        'results.survival': '{score} richtige Antworten, Level {level} erreicht',
+        'results.survivalBest': 'Persönlicher Rekord: {best} richtige Antworten',
+        'results.newBest': 'Neuer persönlicher Rekord!',
+        'results.mistakes': 'Fehler üben',
+        'results.mistakesIntro': 'Übe die verpassten Aufgaben, bis alle richtig sind.',
+        'results.mistakesVariants': 'Ähnliche Aufgaben hinzufügen (7 · 8 → 8 · 7, 56 : 7)',
+        'results.quiz': 'Quiz',
+        'results.worksheet': 'Arbeitsblatt',
+        'results.retry': 'Nochmal',
+        'results.newGame': 'Einstellungen ändern',
+
+        'keypad.minus': 'Minus',
+        'keypad.delete': 'Löschen',
+        'keypad.remainder': 'Rest',
+        'keypad.over': 'Bruchstrich',
+        'keypad.next': 'Weiter',
+
+        'print.heading': 'Mira Maths - {title}',
+        'print.worksheet': 'Arbeitsblatt',
+        'print.answerKey': 'Lösungen',
+        'print.name': 'Name',
+        'print.date': 'Datum',
+        'print.footer': 'Code: {seed} · Höchste Zahl: {maxNumber} · Schwierigkeit: {difficulty}',
+
+        'update.available': 'Eine neue Version von Mira Maths ist bereit.',
+        'update.reload': 'Jetzt aktualisieren',
+
+        'errors.noOperations': 'Bitte wähle mindestens eine Rechenart aus.',
+
+        'spoken.over': 'durch',
+        'spoken.plus': 'plus',
+        'spoken.minus': 'minus',
+        'spoken.times': 'mal',
+        'spoken.dividedBy': 'geteilt durch',
+        'spoken.equals': 'gleich',
+        'spoken.blank': 'Lücke'
+    },
+
+    es: {
+        'app.title': 'Mira Maths - Cálculo rápido',
+        'app.tagline': 'Cálculo rápido',
+
+        'operation.addition': 'Suma',
+        'operation.subtraction': 'Resta',
+        'operation.multiplication': 'Multiplicación',
+        'operation.division': 'División',
+        'operation.expressions': 'Jerarquía de operaciones',
+        'operation.fractions': 'Fracciones',
+        'operation.decimals': 'Decimales',
+
+        'question.simplify': 'Simplifica {fraction}',
+
+        'common.back': '← Volver',
+        'common.backLabel': 'Volver',
+        'common.custom': 'Otro:',
+        'common.all': 'Todo',
+
+        'settings.title': 'Ajustes del juego',
+        'settings.language': 'Idioma',
+        'settings.operations': 'Elige las operaciones',
+        'settings.addition': 'Suma (+)',
+        'settings.subtraction': 'Resta (-)',
+        'settings.multiplication': 'Multiplicación (×)',
+        'settings.division': 'División (:)',
+        'settings.expressions': 'Jerarquía de operaciones (3 + 4 × 2)',
+        'settings.fractions': 'Fracciones (1/4 + 2/3)',
+        'settings.decimals': 'Decimales (2,5 + 1,75)',
+        'settings.remainders': 'División con resto (23 : 4 = 5 r 3)',
+        'settings.negatives': 'Números negativos (-3 + 7, 4 - 9, -6 × 3)',
+        'settings.timesTables': 'Tablas de multiplicar',
+        'settings.timesTablesHint': 'Marca tablas para practicar solo esas en multiplicación y división (hasta 12 × la tabla). Déjalas sin marcar para las tablas habituales hasta el 10.',
+        'settings.maxNumber': 'Número máximo',
+        'settings.customMaxNumber': 'Otro número máximo',
+        'settings.questionCount': 'Número de preguntas',
+        'settings.customQuestionCount': 'Otro número de preguntas',
+        'settings.allowRepeats': 'Permitir preguntas repetidas',
+        'settings.poolWarning.one': 'Con estos ajustes solo hay 1 pregunta distinta, así que el quiz y la ficha tendrán 1 pregunta salvo que se permitan repeticiones.',
+        'settings.poolWarning.other': 'Con estos ajustes solo hay {count} preguntas distintas, así que el quiz y la ficha tendrán {count} preguntas salvo que se permitan repeticiones.',
+        'settings.poolRepeats.one': 'Con estos ajustes solo hay 1 pregunta distinta, así que se hará más de una vez en el quiz y la ficha.',
+        'settings.poolRepeats.other': 'Con estos ajustes solo hay {count} preguntas distintas, así que algunas se harán más de una vez en el quiz y la ficha.',
+        'settings.timePerQuestion': 'Tiempo por pregunta (segundos)',
+        'settings.customTime': 'Otros segundos por pregunta',
+        'settings.timer': 'Temporizador:',
+        'settings.timerNormal': 'Normal',
+        'settings.timerExtended': 'Tiempo extra (×3)',
+        'settings.timerOff': 'Desactivado',
+        'settings.timerHint': 'Más tiempo o sin temporizador puede ayudar si usas un lector de pantalla.',
+        'settings.missingNumber': 'Preguntas con hueco (□ + 5 = 12)',
+        'settings.missingNone': 'Ninguna',
+        'settings.difficulty': 'Nivel de dificultad',
+        'settings.difficultyLabel': 'Nivel de dificultad',
+        'settings.easy': 'Fácil',
+        'settings.hard': 'Difícil',
+        'settings.adaptive': 'Adaptativo (más práctica en las operaciones difíciles)',
+        'settings.sprint': 'Duración del sprint',
+        'settings.sprint60': '60 segundos',
+        'settings.sprint120': '120 segundos',
+        'settings.sprintHint': 'Un sprint te hace tantas preguntas como puedas contestar antes de que se acabe el tiempo. Supervivencia sigue, cada vez más difícil, hasta que pierdas las tres vidas.',
+        'settings.questionSet': 'Serie de preguntas',
+        'settings.seed': 'Código:',
+        'settings.seedPlaceholder': 'Al azar',
+        'settings.seedHint': 'Escribe un código para tener siempre las mismas preguntas con los mismos ajustes.',
+        'settings.sound': 'Sonido',
+        'settings.quiet': 'Bajo',
+        'settings.loud': 'Alto',
+        'settings.volume': 'Volumen',
+        'settings.mute': 'Silenciar',
+        'settings.keypad': 'Teclado numérico en pantalla',
+        'settings.keypadMode': 'Teclado:',
+        'settings.keypadAuto': 'Automático (pantallas táctiles)',
+        'settings.keypadOn': 'Siempre',
+        'settings.keypadOff': 'Nunca',
+        'settings.keypadHint': 'Botones grandes en lugar del teclado del dispositivo, que puede tapar la pregunta en las tabletas.',
+        'settings.print': 'Ficha para imprimir',
+        'settings.printColumns': 'Columnas:',
+        'settings.printAnswerKey': 'Página de soluciones',
+        'settings.printSeed': 'Código al pie de página',
+        'settings.printWorksheet': 'Imprimir ficha',
+        'settings.startQuiz': 'Empezar el quiz',
+        'settings.startWorksheet': 'Empezar la ficha',
+        'settings.startSprint': 'Empezar el sprint',
+        'settings.startSurvival': 'Empezar supervivencia',
+        'settings.debugMode': 'Modo depuración',
+        'settings.showProgress': 'Mi progreso',
+        'settings.showFacts': 'Cuadro de operaciones',
+        'settings.showBadges': 'Insignias',
+        'settings.showRules': 'Reglas de dificultad',
+
+        'facts.title': 'Cuadro de operaciones',
+        'facts.grid': 'Cuadro',
+        'facts.multiplication': 'Multiplicación (1-12)',
+        'facts.addition': 'Suma (0-20)',
+        'facts.merge': 'Juntar 3 × 4 y 4 × 3',
+        'facts.known': 'Sabida',
+        'facts.weak': 'Hay que practicar',
+        'facts.noData': 'Sin practicar',
+        'facts.hint': 'Toca una operación para practicarla con sus vecinas.',
+        'facts.notPractised': '{fact}: sin practicar',
+        'facts.stats': '{fact}: {correct}/{attempts} bien',
+        'facts.averageTime': '{fact}: {correct}/{attempts} bien, {seconds} s de media',
+
+        'badges.title': 'Insignias',
+        'badges.count': '{count} de {total} insignias conseguidas',
+        'badges.unlockedOn': 'Conseguida el {date}',
+        'badges.locked': '{name} (bloqueada): {description}',
+        'badges.new': '¡Nuevas insignias!',
+        'badges.announce': 'Insignia conseguida: {names}',
+        'badge.first-game.name': 'Primera partida',
+        'badge.first-game.description': 'Termina tu primera partida.',
+        'badge.perfect-score.name': 'Pleno',
+        'badge.perfect-score.description': 'Acierta todas las preguntas en una partida de 10 preguntas o más.',
+        'badge.streak-10.name': 'En racha',
+        'badge.streak-10.description': 'Acierta 10 preguntas seguidas.',
+        'badge.streak-25.name': 'Imparable',
+        'badge.streak-25.description': 'Acierta 25 preguntas seguidas.',
+        'badge.fast-average.name': 'Rayo',
+        'badge.fast-average.description': 'Menos de 2 segundos de media por acierto en una partida de 10 preguntas o más.',
+        'badge.sprint-30.name': 'Velocista',
+        'badge.sprint-30.description': 'Consigue 30 aciertos o más por minuto en un sprint.',
+        'badge.survival-5.name': 'Superviviente',
+        'badge.survival-5.description': 'Llega al nivel 5 en supervivencia.',
+        'badge.practice-week.name': 'Semana completa',
+        'badge.practice-week.description': 'Practica 7 días seguidos.',
+        'badge.tables-mastered.name': 'Maestro de las tablas',
+        'badge.tables-mastered.description': 'Domina todas las multiplicaciones de las tablas, de 1 × 1 a 12 × 12.',
+        'badge.games-50.name': 'Constante',
+        'badge.games-50.description': 'Termina 50 partidas.',
+
+        'rules.title': 'Reglas de dificultad',
+        'rules.hint': 'Elige qué es fácil para tu clase. Las reglas se guardan en este dispositivo y se usan en cada partida nueva.',
+        'rules.levels': 'Niveles de las preguntas',
+        'rules.levelsHint': 'Cada pregunta de suma, resta, multiplicación y división recibe el nivel de la primera regla que cumple, empezando por arriba. Las preguntas con números negativos se valoran sin sus signos y son como mínimo de nivel 2.',
+        'rules.condition.bothAtMost': 'Los dos números son N o menos',
+        'rules.condition.eitherAtMost': 'Un número es N o menos',
+        'rules.condition.bothMultipleOf': 'Los dos números son múltiplos de N',
+        'rules.condition.eitherMultipleOf': 'Un número es múltiplo de N',
+        'rules.condition.answerMultipleOf': 'El resultado es múltiplo de N',
+        'rules.condition.answerAtMost': 'El resultado es N o menos',
+        'rules.condition.differenceAtMost': 'Los números se diferencian en N como mucho (0: dobles, 1: casi dobles)',
+        'rules.condition.onesDigitMatch': 'Un número es la cifra de las unidades del otro (16 + 6)',
+        'rules.condition.bridgesTen': 'Pasa una decena (8 + 5, 13 - 5)',
+        'rules.condition.staysWithinTen': 'No pasa ninguna decena (3 + 4, 16 - 6)',
+        'rules.conditionLabel': 'Condición de la regla {number}',
+        'rules.valueLabel': 'N de la regla {number}',
+        'rules.levelLabel': 'Nivel que da la regla {number}',
+        'rules.moveUp': 'Subir la regla {number}',
+        'rules.moveDown': 'Bajar la regla {number}',
+        'rules.remove': 'Quitar la regla {number}',
+        'rules.level1': 'Nivel 1 (fácil)',
+        'rules.level2': 'Nivel 2 (medio)',
+        'rules.level3': 'Nivel 3 (difícil)',
+        'rules.fallback': 'Cualquier otra pregunta:',
+        'rules.addRule': 'Añadir regla',
+        'rules.distribution': 'Mezcla de niveles',
+        'rules.distributionHint': 'El porcentaje de preguntas de cada nivel para cada dificultad.',
+        'rules.shareLabel': 'Porcentaje de preguntas de nivel {level} en la dificultad {difficulty}',
+        'rules.preview': 'Vista previa',
+        'rules.previewHint': 'Preguntas para lo elegido en la pantalla de ajustes, con el nivel de cada una.',
+        'rules.previewButton': 'Ver vista previa',
+        'rules.previewSummary': 'Nivel 1: {level1} · Nivel 2: {level2} · Nivel 3: {level3}',
+        'rules.save': 'Guardar reglas',
+        'rules.export': 'Exportar',
+        'rules.import': 'Importar',
+        'rules.reset': 'Reglas por defecto',
+        'rules.confirmReset': '¿Cambiar tus reglas por las reglas por defecto?',
+        'rules.saved': 'Reglas guardadas. Las partidas nuevas las usarán.',
+        'rules.imported': 'Reglas importadas. Pulsa Guardar reglas para usarlas.',
+        'rules.resetDone': 'Vuelven las reglas por defecto.',
+        'rules.errors.file': 'Este no es un archivo de reglas de dificultad de Mira Maths.',
+        'rules.errors.operations': 'La regla {number} necesita al menos una operación.',
+        'rules.errors.value': 'La regla {number} necesita un número entero para N.',
+        'rules.errors.distribution': 'La mezcla de niveles de la dificultad {difficulty} necesita porcentajes de 0 o más, con al menos uno mayor que 0.',
+
+        'progress.title': 'Mi progreso',
+        'progress.operation': 'Operación',
+        'progress.maxNumber': 'Número máximo',
+        'progress.groupBy': 'Agrupar por',
+        'progress.day': 'Día',
+        'progress.week': 'Semana',
+        'progress.empty': 'Todavía no hay práctica guardada. ¡Termina una partida para ver aquí tu progreso!',
+        'progress.clear': 'Borrar historial',
+        'progress.confirmClear': '¿Borrar todo el historial de práctica guardado?',
+        'progress.score': 'Puntuación',
+        'progress.stars': 'Estrellas',
+        'progress.averageTime': 'Tiempo medio (segundos)',
+        'progress.weekOf': 'sem. del {date}',
+
+        'game.question': 'Pregunta',
+        'game.pause': '⏸ Pausa',
+        'game.paused': 'En pausa',
+        'game.resume': '▶ Seguir',
+        'game.timeLeft': 'Tiempo restante',
+        'game.answer': 'Respuesta',
+        'game.remainder': 'Resto',
+        'game.toggleSign': 'Hacer negativo o positivo',
+        'game.submit': 'Comprobar',
+        'game.correct': '¡Bien!',
+        'game.incorrect': '¡Mal!',
+        'game.timesUp': '¡Se acabó el tiempo!',
+        'game.levelUp': '¡Bien! ¡Nivel {level}!',
+        'game.level': 'Nivel {level}',
+        'game.correctCount': 'Aciertos: {count}',
+        'game.lives.one': 'Te queda {count} vida, nivel {level}',
+        'game.lives.other': 'Te quedan {count} vidas, nivel {level}',
+        'game.announceQuestion': 'Pregunta {number}: {question}',
+        'game.announceQuestionOf': 'Pregunta {number} de {total}: {question}',
+        'game.hurry.one': 'Rápido, queda {count} segundo',
+        'game.hurry.other': 'Rápido, quedan {count} segundos',
+        'timer.secondsLeft.one': 'Queda {count} segundo',
+        'timer.secondsLeft.other': 'Quedan {count} segundos',
+
+        'worksheet.title': 'Contesta todas las preguntas',
+        'worksheet.intro': 'Tómate tu tiempo y contesta todas las preguntas de abajo',
+        'worksheet.debug': 'Modo depuración: se muestran los niveles de dificultad',
+        'worksheet.mistakes': '¡Casi lo tienes! Prueba otra vez con estas',
+        'worksheet.submit': 'Comprobar todas las respuestas',
+        'worksheet.print': 'Imprimir',
+        'worksheet.answerLabel': 'Pregunta {number}: {question}',
+        'worksheet.toggleSign': 'Hacer la respuesta {number} negativa o positiva',
+
+        'results.title': '¡Práctica terminada!',
+        'results.seed': 'Código:',
+        'results.correct': 'Bien:',
+        'results.incorrect': 'Mal:',
+        'results.unanswered': 'Sin contestar:',
+        'results.stars.one': '{count} estrella',
+        'results.stars.other': '{count} estrellas',
+        'results.speed': 'Velocidad',
+        'results.averageTime': 'Tiempo medio',
+        'results.slowest': 'Respuestas más lentas',
+        'results.results': 'Resultados',
+        'results.wrong': '{number}. {question} Correcta: {answer}, tu respuesta: {userAnswer}',
+        'results.noAnswer': 'Sin respuesta',
+        'results.sprint': '{score} aciertos en {seconds} segundos: {perMinute} por minuto',
+        'results.sprintBest': 'Récord personal: {best} por minuto',
+        'results.survival': '{score} aciertos, llegaste al nivel {level}',
+        'results.survivalBest': 'Récord personal: {best} aciertos',
+        'results.newBest': '¡Nuevo récord personal!',
+        'results.mistakes': 'Practicar los errores',
+        'results.mistakesIntro': 'Repite las preguntas que fallaste hasta acertarlas todas.',
+        'results.mistakesVariants': 'Añadir preguntas parecidas (7 × 8 → 8 × 7, 56 : 7)',
+        'results.quiz': 'Quiz',
+        'results.worksheet': 'Ficha',
+        'results.retry': 'Repetir',
+        'results.newGame': 'Cambiar ajustes',
+
+        'keypad.minus': 'Menos',
+        'keypad.delete': 'Borrar',
+        'keypad.remainder': 'Resto',
+        'keypad.over': 'Entre',
+        'keypad.next': 'Siguiente',
+
+        'print.heading': 'Mira Maths - {title}',
+        'print.worksheet': 'Ficha',
+        'print.answerKey': 'Soluciones',
+        'print.name': 'Nombre',
+        'print.date': 'Fecha',
+        'print.footer': 'Código: {seed} · Número máximo: {maxNumber} · Dificultad: {difficulty}',
+
+        'update.available': 'Hay una nueva versión de Mira Maths.',
+        'update.reload': 'Actualizar',
+
+        'errors.noOperations': 'Elige al menos una operación.',
+
+        'spoken.over': 'entre',
+        'spoken.plus': 'más',
+        'spoken.minus': 'menos',
+        'spoken.times': 'por',
+        'spoken.dividedBy': 'entre',
+        'spoken.equals': 'igual a',
+        'spoken.blank': 'hueco'
+    }
+};
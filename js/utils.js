@@ -2,7 +2,64 @@
  * Utility functions for the Mira Maths app
  */
 
-const Utils = {
+import { I18n } from './i18n.js';
+
+export const Utils = {
+    // Seed characters (no easily confused 0/O or 1/I)
+    SEED_CHARACTERS: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+    SEED_LENGTH: 6,
+
+    // Seeded generator state (null when using Math.random)
+    randomState: null,
+
+    /**
+     * Seed the random number generator so the same seed gives the same numbers
+     * @param {string|null} seed - Seed text, or null to go back to Math.random
+     */
+    setSeed: function(seed) {
+        if (seed === null) {
+            this.randomState = null;
+            return;
+        }
+
+        // FNV-1a hash of the seed text
+        let hash = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        this.randomState = hash >>> 0;
+    },
+
+    /**
+     * Get a random number between 0 (inclusive) and 1 (exclusive)
+     * Uses the seeded generator (mulberry32) when a seed is set
+     * @returns {number} - Random number
+     */
+    random: function() {
+        if (this.randomState === null) {
+            return Math.random();
+        }
+
+        this.randomState = (this.randomState + 0x6D2B79F5) >>> 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Create a new random seed
+     * @returns {string} - Seed text
+     */
+    createSeed: function() {
+        let seed = '';
+        for (let i = 0; i < this.SEED_LENGTH; i++) {
+            seed += this.SEED_CHARACTERS[Math.floor(Math.random() * this.SEED_CHARACTERS.length)];
+        }
+        return seed;
+    },
+
     /**
      * Get a random integer between min and max (inclusive)
      * @param {number} min - Minimum value
@@ -12,7 +69,7 @@ const Utils = {
     getRandomInt: function(min, max) {
         min = Math.ceil(min);
         max = Math.floor(max);
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(this.random() * (max - min + 1)) + min;
     },
     
     /**
@@ -23,7 +80,7 @@ const Utils = {
     shuffleArray: function(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -31,6 +88,7 @@ const Utils = {
     
     /**
      * Format a math operation symbol
+     * Multiplication and division follow the current language (× or ·, ÷ or :)
      * @param {string} operation - Operation name
      * @returns {string} - Operation symbol
      */
@@ -38,11 +96,60 @@ const Utils = {
         switch(operation) {
             case 'addition': return '+';
             case 'subtraction': return '-';
-            case 'multiplication': return '×';
-            case 'division': return '÷';
+            case 'multiplication': return I18n.getNotation().multiplication;
+            case 'division': return I18n.getNotation().division;
             default: return '+';
         }
     },
+
+    /**
+     * Get the display name of an operation
+     * @param {string} operation - Operation name
+     * @returns {string} - Display name in the current language
+     */
+    getOperationName: function(operation) {
+        return I18n.t(`operation.${operation}`);
+    },
+
+    /**
+     * Turn displayed maths into words for screen readers ("7 × □ = 56" becomes "7 times blank equals 56")
+     * @param {string} text - Text using maths symbols
+     * @returns {string} - Text with the symbols read as words
+     */
+    toSpokenText: function(text) {
+        return String(text)
+            .replace(/(\d+)\/(\d+)/g, `$1 ${I18n.t('spoken.over')} $2`)
+            .replace(/ - /g, ` ${I18n.t('spoken.minus')} `)
+            .replace(/\+/g, ` ${I18n.t('spoken.plus')} `)
+            .replace(/[×·]/g, ` ${I18n.t('spoken.times')} `)
+            .replace(/÷| : /g, ` ${I18n.t('spoken.dividedBy')} `)
+            .replace(/=/g, ` ${I18n.t('spoken.equals')} `)
+            .replace(/□/g, ` ${I18n.t('spoken.blank')} `)
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Announce a message to screen reader users
+     * @param {string} message - Message to read out
+     */
+    announce: function(message) {
+        const announcer = document.getElementById('announcer');
+        // Clear first so the same message is read again if repeated
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    },
+
+    /**
+     * Format a time in milliseconds as seconds
+     * @param {number} milliseconds - Time in milliseconds
+     * @returns {string} - Formatted time, e.g. "1.25s" (or "1,25s" with a decimal comma)
+     */
+    formatMilliseconds: function(milliseconds) {
+        return I18n.formatNumbers(`${(milliseconds / 1000).toFixed(2)}s`);
+    },
     
     /**
      * Check if two objects are equal in content
@@ -54,58 +161,6 @@ const Utils = {
         return JSON.stringify(obj1) === JSON.stringify(obj2);
     },
     
-    /**
-     * Get settings from form inputs
-     * @returns {Object} - Settings object
-     */
-    getSettings: function() {
-        // Get selected operations
-        const operations = [];
-        document.querySelectorAll('input[name="operation"]:checked').forEach(checkbox => {
-            operations.push(checkbox.value);
-        });
-
-        // Get max number
-        let maxNumber = 20;
-        const maxNumberRadio = document.querySelector('input[name="max-number"]:checked');
-        if (maxNumberRadio.value === 'custom') {
-            maxNumber = parseInt(document.getElementById('custom-max-number').value) || 20;
-        } else {
-            maxNumber = parseInt(maxNumberRadio.value);
-        }
-
-        // Get question count
-        let questionCount = 10;
-        const questionCountRadio = document.querySelector('input[name="question-count"]:checked');
-        if (questionCountRadio.value === 'custom') {
-            questionCount = parseInt(document.getElementById('custom-question-count').value) || 10;
-        } else {
-            questionCount = parseInt(questionCountRadio.value);
-        }
-
-        // Get time per question
-        let timePerQuestion = 10;
-        const timeRadio = document.querySelector('input[name="time-per-question"]:checked');
-        if (timeRadio) {
-            if (timeRadio.value === 'custom') {
-                timePerQuestion = parseInt(document.getElementById('custom-time').value) || 10;
-            } else {
-                timePerQuestion = parseInt(timeRadio.value);
-            }
-        }
-
-        // Get difficulty level
-        const difficultyLevel = parseInt(document.getElementById('difficulty-slider').value);
-
-        return {
-            operations,
-            maxNumber,
-            questionCount,
-            timePerQuestion,
-            difficultyLevel
-        };
-    },
-    
     /**
      * Show a specific screen and hide others
      * @param {string} screenId - ID of screen to show
@@ -114,6 +169,14 @@ const Utils = {
         document.querySelectorAll('.screen').forEach(screen => {
             screen.classList.remove('active');
         });
-        document.getElementById(screenId).classList.add('active');
+        const screen = document.getElementById(screenId);
+        screen.classList.add('active');
+
+        // Move focus to the new screen's heading so screen readers start reading there
+        const heading = screen.querySelector('h2');
+        if (heading) {
+            heading.tabIndex = -1;
+            heading.focus();
+        }
     }
 };
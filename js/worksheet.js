@@ -0,0 +1,111 @@
+/**
+ * Printable worksheet generator for Mira Maths
+ */
+
+import { I18n } from './i18n.js';
+import { QuestionGenerator } from './questionGenerator.js';
+
+export const Worksheet = {
+    /**
+     * Get print options from the settings form
+     * @returns {Object} - Print options (columns, includeAnswerKey, showSeed)
+     */
+    getPrintOptions: function() {
+        return {
+            columns: parseInt(document.getElementById('print-columns').value) || 2,
+            includeAnswerKey: document.getElementById('print-answer-key').checked,
+            showSeed: document.getElementById('print-seed').checked
+        };
+    },
+
+    /**
+     * Lay out a worksheet (and optional answer key) and open the print dialog
+     * @param {Array} questions - Question objects
+     * @param {Object} settings - Game settings the questions were generated with
+     * @param {Object} options - Print options from getPrintOptions
+     */
+    print: function(questions, settings, options) {
+        const printArea = document.getElementById('print-area');
+        printArea.innerHTML = '';
+
+        printArea.appendChild(this.createPage(I18n.t('print.worksheet'), questions, settings, options, false));
+
+        if (options.includeAnswerKey) {
+            printArea.appendChild(this.createPage(I18n.t('print.answerKey'), questions, settings, options, true));
+        }
+
+        window.print();
+    },
+
+    /**
+     * Create one printable page
+     * @param {string} title - Page title
+     * @param {Array} questions - Question objects
+     * @param {Object} settings - Game settings
+     * @param {Object} options - Print options
+     * @param {boolean} showAnswers - True to fill in the answers
+     * @returns {HTMLElement} - Page element
+     */
+    createPage: function(title, questions, settings, options, showAnswers) {
+        const page = document.createElement('div');
+        page.className = 'print-page';
+
+        // Header with title and name/date lines
+        const header = document.createElement('div');
+        header.className = 'print-header';
+
+        const heading = document.createElement('h2');
+        heading.textContent = I18n.t('print.heading', { title });
+        header.appendChild(heading);
+
+        if (!showAnswers) {
+            const lines = document.createElement('div');
+            lines.className = 'print-name-date';
+            [[I18n.t('print.name'), 22], [I18n.t('print.date'), 12]].forEach(([label, length]) => {
+                const line = document.createElement('span');
+                line.textContent = `${label}: ${'_'.repeat(length)}`;
+                lines.appendChild(line);
+            });
+            header.appendChild(lines);
+        }
+
+        page.appendChild(header);
+
+        // Questions, filled column by column
+        const list = document.createElement('ol');
+        list.className = 'print-questions';
+        list.style.columnCount = options.columns;
+
+        questions.forEach(question => {
+            const item = document.createElement('li');
+            item.className = 'print-question';
+
+            const questionText = document.createElement('span');
+            questionText.textContent = QuestionGenerator.formatQuestion(question);
+            item.appendChild(questionText);
+
+            const answer = document.createElement('span');
+            answer.className = showAnswers ? 'print-answer' : 'print-answer-blank';
+            answer.textContent = showAnswers ? I18n.formatNumbers(question.answer) : '';
+            item.appendChild(answer);
+
+            list.appendChild(item);
+        });
+
+        page.appendChild(list);
+
+        // Footer with the seed so the same sheet can be printed again
+        if (options.showSeed) {
+            const footer = document.createElement('div');
+            footer.className = 'print-footer';
+            footer.textContent = I18n.t('print.footer', {
+                seed: settings.seed,
+                maxNumber: settings.maxNumber,
+                difficulty: settings.difficultyLevel
+            });
+            page.appendChild(footer);
+        }
+
+        return page;
+    }
+};
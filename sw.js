@@ -0,0 +1,105 @@
+/**
+ * Service worker for Mira Maths
+ * Keeps a copy of the whole app so it works without a network connection
+ *
+ * Change CACHE_VERSION whenever any of the files below change: the browser then
+ * installs the new version alongside the old one and the page offers to update
+ */
+
+const CACHE_VERSION = 'mira-maths-v6';
+
+// Everything the app needs to run offline (paths are relative to this file)
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'assets/favicon.ico',
+    'assets/icon.svg',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'assets/fonts/comic-neue-latin-400-normal.woff2',
+    'assets/fonts/comic-neue-latin-700-normal.woff2',
+    'js/translations.js',
+    'js/i18n.js',
+    'js/settings.js',
+    'js/utils.js',
+    'js/progressStore.js',
+    'js/mastery.js',
+    'js/expressions.js',
+    'js/fractions.js',
+    'js/decimals.js',
+    'js/answers.js',
+    'js/mistakes.js',
+    'js/questionGenerator.js',
+    'js/difficultyRules.js',
+    'js/questionPool.js',
+    'js/session.js',
+    'js/timer.js',
+    'js/sound.js',
+    'js/keypad.js',
+    'js/game.js',
+    'js/progress.js',
+    'js/factGrid.js',
+    'js/achievements.js',
+    'js/worksheet.js',
+    'js/difficultyEditor.js',
+    'js/main.js'
+];
+
+/**
+ * Download every file into a new cache, skipping the browser's HTTP cache so an
+ * update never stores a stale copy of a file under the new version
+ * The new worker then waits until the page asks it to take over (see the message handler)
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache =>
+            cache.addAll(PRECACHE_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+/**
+ * Delete the caches of older versions once this version takes over
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Take over when the page's "Update Now" button is pressed
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Answer from the cache first, falling back to the network
+ * Pages that aren't cached (e.g. index.html?seed=ABC123) get the cached index.html
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) {
+                return cached;
+            }
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                return Response.error();
+            });
+        })
+    );
+});